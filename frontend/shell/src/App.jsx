@@ -11,22 +11,39 @@ function App() {
     const [token, setToken] = useState(localStorage.getItem('token'));
     const [currentView, setCurrentView] = useState('devices');
     const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notificationPages, setNotificationPages] = useState({ page: 0, pages: 0 });
     const [showNotifications, setShowNotifications] = useState(false);
     const [devices, setDevices] = useState([]);
+    const [deviceTypes, setDeviceTypes] = useState([]);
     const [automations, setAutomations] = useState([]);
+    const [scenes, setScenes] = useState([]);
     const wsRef = useRef(null);
     const notificationRef = useRef(null);
+    // Inbox ids already in the list; the same notification can arrive over the socket more than once
+    const notificationIdsRef = useRef(new Set());
+    // Highest notification sequence number seen, sent as `resume` after a reconnect
+    const lastSeqRef = useRef(null);
 
-    // WebSocket connection for real-time updates
+    // WebSocket connection for real-time updates. It reconnects with exponential backoff
+    // and resumes from the last sequence number it saw, so nothing is missed in between.
     useEffect(() => {
-        if (user && !wsRef.current) {
+        if (!user || wsRef.current) {
+            return undefined;
+        }
+
+        let stopped = false;
+        let attempts = 0;
+        let reconnectTimer = null;
+
+        const connect = () => {
             const ws = new WebSocket(WS_URL);
 
             ws.onopen = () => {
                 console.log('WebSocket connected');
                 ws.send(JSON.stringify({
                     type: 'authenticate',
-                    userId: user.id
+                    token
                 }));
             };
 
@@ -34,13 +51,64 @@ function App() {
                 const notification = JSON.parse(event.data);
                 console.log('Received notification:', notification);
 
-                // Add to notifications list
-                setNotifications(prev => [notification, ...prev].slice(0, 20));
+                // The session token ran out; the REST services will reject it as well
+                if (notification.type === 'token_expired') {
+                    handleLogout();
+                    return;
+                }
+
+                if (notification.type === 'authenticated') {
+                    attempts = 0;
+                    if (lastSeqRef.current === null) {
+                        lastSeqRef.current = notification.seq;
+                    } else {
+                        ws.send(JSON.stringify({ type: 'resume', lastSeq: lastSeqRef.current }));
+                    }
+                    return;
+                }
+
+                if (notification.type === 'resumed') {
+                    // More was missed than the server keeps for replay
+                    if (!notification.complete) {
+                        loadNotifications();
+                        loadDevices();
+                        loadAutomations();
+                    }
+                    if (notification.seq !== null) {
+                        lastSeqRef.current = Math.max(lastSeqRef.current || 0, notification.seq);
+                    }
+                    return;
+                }
+
+                if (notification.seq) {
+                    lastSeqRef.current = Math.max(lastSeqRef.current || 0, notification.seq);
+                }
+
+                // A repeat rewrote an inbox notification: move it to the top, once per count
+                if (notification.id && notification.collapsed) {
+                    const version = `${notification.id}:${notification.count}`;
+                    if (!notificationIdsRef.current.has(version)) {
+                        notificationIdsRef.current.add(version);
+                        notificationIdsRef.current.add(notification.id);
+                        setNotifications(prev => [notification, ...prev.filter(item => item.id !== notification.id)]);
+                        if (notification.reopened) {
+                            setUnreadCount(count => count + 1);
+                        }
+                    }
+                } else if (notification.id && !notificationIdsRef.current.has(notification.id)) {
+                    // Add new inbox notifications to the list
+                    notificationIdsRef.current.add(notification.id);
+                    setNotifications(prev => [notification, ...prev]);
+                    setUnreadCount(count => count + 1);
+                }
 
                 // Handle real-time updates
                 if (notification.type === 'device.state_changed' ||
                     notification.type === 'device.added' ||
-                    notification.type === 'device.removed') {
+                    notification.type === 'device.removed' ||
+                    notification.type === 'device.online' ||
+                    notification.type === 'device.offline' ||
+                    notification.type === 'device.status') {
                     loadDevices();
                 }
 
@@ -49,8 +117,8 @@ function App() {
                     loadAutomations();
                 }
 
-                // Show browser notification
-                if (Notification.permission === 'granted') {
+                // Show browser notification, but not for a burst of replayed ones or repeats
+                if (Notification.permission === 'granted' && !notification.replayed && !notification.collapsed) {
                     new Notification('Smart Home Alert', {
                         body: notification.message,
                         icon: '/home-icon.png'
@@ -62,17 +130,37 @@ function App() {
                 console.error('WebSocket error:', error);
             };
 
-            ws.onclose = () => {
+            ws.onclose = (event) => {
                 console.log('WebSocket disconnected');
+
+                // Closed by logout or cleanup
+                if (stopped || wsRef.current !== ws) {
+                    return;
+                }
                 wsRef.current = null;
+
+                // The server rejected the token; reconnecting will not help
+                if (event.code === 4001) {
+                    return;
+                }
+
+                const delay = Math.min(1000 * 2 ** attempts, 30000) + Math.random() * 1000;
+                attempts++;
+                console.log(`Reconnecting in ${Math.round(delay / 1000)}s`);
+                reconnectTimer = setTimeout(connect, delay);
             };
 
             wsRef.current = ws;
-        }
+        };
+
+        connect();
 
         return () => {
+            stopped = true;
+            clearTimeout(reconnectTimer);
             if (wsRef.current) {
                 wsRef.current.close();
+                wsRef.current = null;
             }
         };
     }, [user]);
@@ -108,11 +196,14 @@ function App() {
         }
     }, [token]);
 
-    // Load devices and automations when user logs in
+    // Load devices, automations and scenes when user logs in
     useEffect(() => {
         if (user && token) {
+            loadDeviceTypes();
             loadDevices();
             loadAutomations();
+            loadScenes();
+            loadNotifications();
         }
     }, [user, token]);
 
@@ -147,6 +238,20 @@ function App() {
         }
     };
 
+    const loadDeviceTypes = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/device-types`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            setDeviceTypes(data.deviceTypes || []);
+        } catch (error) {
+            console.error('Load device types error:', error);
+        }
+    };
+
     const loadAutomations = async () => {
         try {
             const response = await fetch(`${API_URL}/api/automations`, {
@@ -161,6 +266,119 @@ function App() {
         }
     };
 
+    const loadScenes = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/scenes`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            setScenes(data.scenes || []);
+        } catch (error) {
+            console.error('Load scenes error:', error);
+        }
+    };
+
+    // Page 1 replaces the list, later pages are appended
+    const loadNotifications = async (page = 1) => {
+        try {
+            const response = await fetch(`${API_URL}/api/notifications?page=${page}&limit=20`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) return;
+
+            if (page === 1) {
+                notificationIdsRef.current = new Set();
+            }
+            const loaded = data.notifications.filter(notification => !notificationIdsRef.current.has(notification.id));
+            loaded.forEach(notification => notificationIdsRef.current.add(notification.id));
+
+            setNotifications(prev => page === 1 ? loaded : [...prev, ...loaded]);
+            setUnreadCount(data.unreadCount);
+            setNotificationPages({ page, pages: data.pagination.pages });
+        } catch (error) {
+            console.error('Load notifications error:', error);
+        }
+    };
+
+    const markNotificationRead = async (notification) => {
+        if (notification.read) return;
+
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/${notification.id}/read`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                setNotifications(prev => prev.map(item =>
+                    item.id === notification.id ? { ...item, read: true } : item
+                ));
+                setUnreadCount(count => Math.max(count - 1, 0));
+            }
+        } catch (error) {
+            console.error('Mark notification read error:', error);
+        }
+    };
+
+    const markAllNotificationsRead = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/read-all`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+                setUnreadCount(0);
+            } else {
+                alert('Failed to mark notifications as read');
+            }
+        } catch (error) {
+            console.error('Mark all notifications read error:', error);
+            alert('Failed to mark notifications as read');
+        }
+    };
+
+    const deleteNotification = async (notification) => {
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/${notification.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                setNotifications(prev => prev.filter(item => item.id !== notification.id));
+                if (!notification.read) {
+                    setUnreadCount(count => Math.max(count - 1, 0));
+                }
+            } else {
+                alert('Failed to delete notification');
+            }
+        } catch (error) {
+            console.error('Delete notification error:', error);
+            alert('Failed to delete notification');
+        }
+    };
+
+    const toggleNotifications = () => {
+        // Refresh on open so reads from other tabs show up
+        if (!showNotifications) {
+            loadNotifications();
+        }
+        setShowNotifications(!showNotifications);
+    };
+
     const handleLogin = async (email, password) => {
         try {
             const response = await fetch(`${API_URL}/api/login`, {
@@ -212,7 +430,12 @@ function App() {
         setToken(null);
         setDevices([]);
         setAutomations([]);
+        setScenes([]);
         setNotifications([]);
+        setUnreadCount(0);
+        setNotificationPages({ page: 0, pages: 0 });
+        notificationIdsRef.current = new Set();
+        lastSeqRef.current = null;
         localStorage.removeItem('token');
         if (wsRef.current) {
             wsRef.current.close();
@@ -220,12 +443,6 @@ function App() {
         }
     };
 
-    const clearNotifications = () => {
-        setNotifications([]);
-    };
-
-    const unreadCount = notifications.length;
-
     if (!user) {
         return <AuthForm onLogin={handleLogin} onRegister={handleRegister} />;
     }
@@ -240,7 +457,7 @@ function App() {
                     <div className="notification-bell-container" ref={notificationRef}>
                         <button
                             className="notification-bell"
-                            onClick={() => setShowNotifications(!showNotifications)}
+                            onClick={toggleNotifications}
                             title="Notifications"
                         >
                             🔔
@@ -253,12 +470,12 @@ function App() {
                             <div className="notification-dropdown">
                                 <div className="notification-header">
                                     <h3>Notifications</h3>
-                                    {notifications.length > 0 && (
+                                    {unreadCount > 0 && (
                                         <button
                                             className="clear-notifications"
-                                            onClick={clearNotifications}
+                                            onClick={markAllNotificationsRead}
                                         >
-                                            Clear all
+                                            Mark all read
                                         </button>
                                     )}
                                 </div>
@@ -268,8 +485,12 @@ function App() {
                                             <p>No notifications</p>
                                         </div>
                                     ) : (
-                                        notifications.map((notif, idx) => (
-                                            <div key={idx} className={`notification-item ${notif.type}`}>
+                                        notifications.map((notif) => (
+                                            <div
+                                                key={notif.id}
+                                                className={`notification-item ${notif.type} ${notif.read ? '' : 'unread'}`}
+                                                onClick={() => markNotificationRead(notif)}
+                                            >
                                                 <span className="notification-icon">
                                                     {getNotificationIcon(notif.type)}
                                                 </span>
@@ -279,9 +500,27 @@ function App() {
                                                         {formatNotificationTime(notif.timestamp)}
                                                     </span>
                                                 </div>
+                                                <button
+                                                    className="notification-delete"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        deleteNotification(notif);
+                                                    }}
+                                                    title="Delete"
+                                                >
+                                                    ×
+                                                </button>
                                             </div>
                                         ))
                                     )}
+                                    {notificationPages.page < notificationPages.pages && (
+                                        <button
+                                            className="notification-load-more"
+                                            onClick={() => loadNotifications(notificationPages.page + 1)}
+                                        >
+                                            Load more
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         )}
@@ -312,14 +551,29 @@ function App() {
                 >
                     📊 Dashboard
                 </button>
+                <button
+                    className={currentView === 'notifications' ? 'active' : ''}
+                    onClick={() => setCurrentView('notifications')}
+                >
+                    🔔 Notifications
+                </button>
             </nav>
 
+            <ScenesStrip
+                token={token}
+                scenes={scenes}
+                devices={devices}
+                onScenesChange={loadScenes}
+                onDevicesChange={loadDevices}
+            />
+
             <main className="main-content">
                 {currentView === 'devices' && (
                     <DevicesMFE
                         token={token}
                         userId={user.id}
                         devices={devices}
+                        deviceTypes={deviceTypes}
                         onDevicesChange={loadDevices}
                     />
                 )}
@@ -329,6 +583,7 @@ function App() {
                         userId={user.id}
                         automations={automations}
                         devices={devices}
+                        deviceTypes={deviceTypes}
                         onAutomationsChange={loadAutomations}
                     />
                 )}
@@ -339,6 +594,12 @@ function App() {
                         automations={automations}
                     />
                 )}
+                {currentView === 'notifications' && (
+                    <NotificationSettings
+                        token={token}
+                        devices={devices}
+                    />
+                )}
             </main>
         </div>
     );
@@ -349,10 +610,15 @@ function getNotificationIcon(type) {
         'device.state_changed': '💡',
         'motion.detected': '🚨',
         'automation.executed': '⚡',
+        'automation.loop_blocked': '🔁',
+        'scene.activated': '🎬',
         'security.alert': '🔒',
         'device.added': '➕',
         'device.removed': '➖',
-        'device.offline': '⚠️'
+        'device.online': '📶',
+        'device.offline': '⚠️',
+        'device.status': '📡',
+        'notification.digest': '📰'
     };
     return icons[type] || '🔔';
 }
@@ -377,6 +643,32 @@ function formatNotificationTime(timestamp) {
     return date.toLocaleDateString();
 }
 
+// The registry entry of a device's type, from GET /api/device-types
+function findDeviceType(deviceTypes, type) {
+    return deviceTypes.find(deviceType => deviceType.type === type);
+}
+
+// State field a device is switched on and off with, or null when its type has no on/off capability
+function getSwitchField(deviceTypes, device) {
+    const deviceType = device && findDeviceType(deviceTypes, device.type);
+    const onOff = deviceType && deviceType.capabilities.find(capability => capability.capability === 'onOff');
+    return onOff ? onOff.field : null;
+}
+
+// A state value for display: its label, or the number with its unit, or '—' before it is known
+function formatFieldValue(value, schema, labels) {
+    if (value === undefined || value === null) {
+        return '—';
+    }
+    if (labels) {
+        return labels[String(Boolean(value))];
+    }
+    if (typeof value === 'number') {
+        return `${Math.round(value * 100) / 100}${(schema && schema.unit) || ''}`;
+    }
+    return String(value).toUpperCase();
+}
+
 // Authentication Form Component
 function AuthForm({ onLogin, onRegister }) {
     const [isLogin, setIsLogin] = useState(true);
@@ -441,26 +733,21 @@ function AuthForm({ onLogin, onRegister }) {
 }
 
 // Devices Micro Frontend
-function DevicesMFE({ token, userId, devices, onDevicesChange }) {
+function DevicesMFE({ token, userId, devices, deviceTypes, onDevicesChange }) {
     const [showForm, setShowForm] = useState(false);
     const [editingDevice, setEditingDevice] = useState(null);
     const [loading, setLoading] = useState(false);
 
-    const toggleDevice = async (device) => {
-        let newState = { ...device.state };
-
-        if (device.type === 'light') {
-            newState.on = !device.state.on;
-        } else if (device.type === 'thermostat') {
-            newState.temperature = device.state.temperature === 22 ? 25 : 22;
-        } else if (device.type === 'lock') {
-            newState.locked = !device.state.locked;
-        } else if (device.type === 'camera') {
-            newState.recording = !device.state.recording;
-        } else if (device.type === 'sprinkler') {
-            newState.active = !device.state.active;
-        }
+    // Devices answer commands asynchronously, so reload until none is waiting
+    useEffect(() => {
+        if (!devices.some(device => device.pending_commands > 0)) return undefined;
 
+        const timer = setTimeout(onDevicesChange, 2000);
+        return () => clearTimeout(timer);
+    }, [devices, onDevicesChange]);
+
+    // Only the changed fields are sent, as a command; the device reports its new state once applied
+    const updateDeviceState = async (device, changes) => {
         try {
             const response = await fetch(`${API_URL}/api/devices/${device.id}/state`, {
                 method: 'PUT',
@@ -468,13 +755,14 @@ function DevicesMFE({ token, userId, devices, onDevicesChange }) {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify({ state: newState })
+                body: JSON.stringify({ state: changes })
             });
 
             if (response.ok) {
                 onDevicesChange();
             } else {
-                alert('Failed to update device state');
+                const data = await response.json();
+                alert(data.error || 'Failed to update device state');
             }
         } catch (error) {
             console.error('Toggle device error:', error);
@@ -525,6 +813,7 @@ function DevicesMFE({ token, userId, devices, onDevicesChange }) {
                 <DeviceForm
                     token={token}
                     device={editingDevice}
+                    deviceTypes={deviceTypes}
                     onSave={() => {
                         onDevicesChange();
                         setShowForm(false);
@@ -542,7 +831,8 @@ function DevicesMFE({ token, userId, devices, onDevicesChange }) {
                     <DeviceCard
                         key={device.id}
                         device={device}
-                        onToggle={toggleDevice}
+                        deviceType={findDeviceType(deviceTypes, device.type)}
+                        onStateChange={updateDeviceState}
                         onEdit={(device) => {
                             setEditingDevice(device);
                             setShowForm(true);
@@ -560,7 +850,7 @@ function DevicesMFE({ token, userId, devices, onDevicesChange }) {
     );
 }
 
-function DeviceForm({ token, device, onSave, onCancel }) {
+function DeviceForm({ token, device, deviceTypes, onSave, onCancel }) {
     const [name, setName] = useState(device?.name || '');
     const [type, setType] = useState(device?.type || 'light');
     const [room, setRoom] = useState(device?.room || '');
@@ -618,11 +908,11 @@ function DeviceForm({ token, device, onSave, onCancel }) {
             <div className="form-group">
                 <label>Device Type *</label>
                 <select value={type} onChange={(e) => setType(e.target.value)} required disabled={!!device}>
-                    <option value="light">💡 Light</option>
-                    <option value="thermostat">🌡️ Thermostat</option>
-                    <option value="lock">🔒 Lock</option>
-                    <option value="camera">📷 Camera</option>
-                    <option value="sprinkler">💧 Sprinkler</option>
+                    {deviceTypes.map(deviceType => (
+                        <option key={deviceType.type} value={deviceType.type}>
+                            {deviceType.icon} {deviceType.name}
+                        </option>
+                    ))}
                 </select>
             </div>
 
@@ -648,57 +938,173 @@ function DeviceForm({ token, device, onSave, onCancel }) {
     );
 }
 
-function DeviceCard({ device, onToggle, onEdit, onDelete }) {
-    const getDeviceIcon = (type) => {
-        const icons = {
-            light: '💡',
-            thermostat: '🌡️',
-            lock: '🔒',
-            camera: '📷',
-            sprinkler: '💧'
+// One control per capability, configured from the schema of the field it drives
+function CapabilityControl({ capability, schema, value, onChange }) {
+    // Sliders only send their value once released
+    const [draft, setDraft] = useState(value);
+
+    useEffect(() => {
+        setDraft(value);
+    }, [value]);
+
+    const title = schema.title || capability.name;
+    const unit = schema.unit || '';
+
+    // Measured by the device, so shown but not editable
+    if (capability.control === 'reading') {
+        return (
+            <div className="capability-control">
+                <span>{title}</span>
+                <span className="capability-value">{formatFieldValue(value, schema, capability.labels)}</span>
+            </div>
+        );
+    }
+
+    if (capability.control === 'toggle') {
+        return (
+            <button
+                className="btn-toggle"
+                onClick={() => onChange(!value)}
+                title={`Toggle ${title.toLowerCase()}`}
+            >
+                {title}
+            </button>
+        );
+    }
+
+    if (capability.control === 'slider') {
+        const commit = () => {
+            if (draft !== value) {
+                onChange(draft);
+            }
+        };
+
+        return (
+            <label className="capability-control">
+                <span>{title}</span>
+                <input
+                    type="range"
+                    min={schema.minimum}
+                    max={schema.maximum}
+                    step={schema.multipleOf || 1}
+                    value={draft ?? schema.minimum}
+                    onChange={(e) => setDraft(Number(e.target.value))}
+                    onMouseUp={commit}
+                    onTouchEnd={commit}
+                    onKeyUp={commit}
+                />
+                <span className="capability-value">{draft}{unit}</span>
+                {(capability.presets || []).map(preset => (
+                    <button
+                        key={preset.label}
+                        type="button"
+                        className="capability-preset"
+                        onClick={() => onChange(preset.value)}
+                        disabled={value === preset.value}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </label>
+        );
+    }
+
+    if (capability.control === 'stepper') {
+        const step = schema.multipleOf || 1;
+        const stepBy = (direction) => {
+            const next = Math.round(((value ?? schema.minimum) + direction * step) / step) * step;
+            onChange(Math.min(schema.maximum ?? next, Math.max(schema.minimum ?? next, next)));
         };
-        return icons[type] || '📱';
-    };
 
+        return (
+            <div className="capability-control">
+                <span>{title}</span>
+                <button type="button" onClick={() => stepBy(-1)} disabled={value <= schema.minimum}>−</button>
+                <span className="capability-value">{value}{unit}</span>
+                <button type="button" onClick={() => stepBy(1)} disabled={value >= schema.maximum}>+</button>
+            </div>
+        );
+    }
+
+    if (capability.control === 'select') {
+        return (
+            <label className="capability-control">
+                <span>{title}</span>
+                <select value={value ?? ''} onChange={(e) => onChange(e.target.value)}>
+                    {schema.enum.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            </label>
+        );
+    }
+
+    return null;
+}
+
+function DeviceCard({ device, deviceType, onStateChange, onEdit, onDelete }) {
+    const capabilities = deviceType ? deviceType.capabilities : [];
+    // Controls show what was asked for while commands are on their way; the summary what the device reported
+    const pending = device.pending_commands > 0;
+    const controlState = pending && device.desired_state ? device.desired_state : device.state;
+
+    // One part per capability, e.g. "ON · 80%" or "21.5°C · 45%"
     const getDeviceState = () => {
-        if (device.type === 'light') {
-            return device.state.on ? 'ON' : 'OFF';
-        } else if (device.type === 'thermostat') {
-            return `${device.state.temperature}°C`;
-        } else if (device.type === 'lock') {
-            return device.state.locked ? 'LOCKED' : 'UNLOCKED';
-        } else if (device.type === 'camera') {
-            return device.state.recording ? 'RECORDING' : 'IDLE';
-        } else if (device.type === 'sprinkler') {
-            return device.state.active ? 'ACTIVE' : 'OFF';
+        if (!deviceType) {
+            return 'UNKNOWN';
         }
-        return 'UNKNOWN';
+
+        return capabilities
+            .map(({ field, labels }) => formatFieldValue(device.state[field], deviceType.schema.properties[field], labels))
+            .join(' · ');
     };
 
+    // Active when the first toggle is on (for locks, when unlocked), or for contacts when open
     const isActive = () => {
-        return device.state.on || device.state.recording || device.state.active || !device.state.locked;
+        const toggle = capabilities.find(capability =>
+            capability.control === 'toggle' || capability.capability === 'contact'
+        );
+        if (!toggle) {
+            return false;
+        }
+
+        const value = Boolean(device.state[toggle.field]);
+        return toggle.capability === 'lock' ? !value : value;
     };
 
     return (
         <div className={`device-card ${isActive() ? 'active' : ''}`}>
-            <div className="device-icon">{getDeviceIcon(device.type)}</div>
+            <div className="device-icon">{deviceType ? deviceType.icon : '📱'}</div>
             <div className="device-info">
                 <h3>{device.name}</h3>
                 <p className="device-room">{device.room || 'Unassigned'}</p>
-                <p className={`device-status online`}>
-                    🟢 Ready
-                </p>
+                {device.status === 'online' ? (
+                    <p className="device-status online">🟢 Online</p>
+                ) : (
+                    <p className="device-status offline" title={device.last_seen ? `Last seen ${new Date(device.last_seen).toLocaleString()}` : undefined}>
+                        🔴 Offline{device.last_seen ? ` · seen ${formatNotificationTime(device.last_seen).toLowerCase()}` : ''}
+                    </p>
+                )}
             </div>
             <div className="device-controls">
-                <span className="device-state">{getDeviceState()}</span>
+                <span className="device-state">
+                    {getDeviceState()}
+                    {pending && <span className="command-spinner" title="Waiting for the device to apply the change" />}
+                </span>
+                {capabilities.length > 0 && (
+                    <div className="device-capabilities">
+                        {capabilities.map(capability => (
+                            <CapabilityControl
+                                key={capability.field}
+                                capability={capability}
+                                schema={deviceType.schema.properties[capability.field]}
+                                value={controlState[capability.field]}
+                                onChange={(value) => onStateChange(device, { [capability.field]: value })}
+                            />
+                        ))}
+                    </div>
+                )}
                 <div className="device-buttons">
-                    <button
-                        className="btn-toggle"
-                        onClick={() => onToggle(device)}
-                        title="Toggle device state"
-                    >
-                        Toggle
-                    </button>
                     <button
                         className="btn-edit"
                         onClick={() => onEdit(device)}
@@ -719,10 +1125,140 @@ function DeviceCard({ device, onToggle, onEdit, onDelete }) {
     );
 }
 
+// Scenes, shown above the automations
+function ScenesStrip({ token, scenes, devices, onScenesChange, onDevicesChange }) {
+    const [activatingId, setActivatingId] = useState(null);
+
+    const activateScene = async (scene) => {
+        setActivatingId(scene._id);
+        try {
+            const response = await fetch(`${API_URL}/api/scenes/${scene._id}/activate`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(data.error || 'Failed to activate scene');
+                return;
+            }
+
+            const problems = data.results.filter(result => result.status !== 'applied');
+            if (problems.length > 0) {
+                alert(`${data.message}:\n` + problems.map(result => {
+                    const device = devices.find(d => d.id === result.deviceId);
+                    return `${device ? device.name : `Device #${result.deviceId}`}: ${result.error || result.status}`;
+                }).join('\n'));
+            }
+            onScenesChange();
+            onDevicesChange();
+        } catch (error) {
+            console.error('Activate scene error:', error);
+            alert('Failed to activate scene');
+        } finally {
+            setActivatingId(null);
+        }
+    };
+
+    const captureScene = async () => {
+        const name = window.prompt('Save the current state of all devices as a scene named:');
+        if (!name) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_URL}/api/scenes/capture`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ name })
+            });
+
+            if (response.ok) {
+                onScenesChange();
+            } else {
+                const data = await response.json();
+                alert(data.error || 'Failed to save scene');
+            }
+        } catch (error) {
+            console.error('Capture scene error:', error);
+            alert('Failed to save scene');
+        }
+    };
+
+    const deleteScene = async (scene) => {
+        if (!window.confirm(`Delete scene "${scene.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_URL}/api/scenes/${scene._id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                onScenesChange();
+            } else {
+                alert('Failed to delete scene');
+            }
+        } catch (error) {
+            console.error('Delete scene error:', error);
+            alert('Failed to delete scene');
+        }
+    };
+
+    return (
+        <div className="scenes-strip">
+            <span className="scenes-label">🎬 Scenes</span>
+            {scenes.map(scene => (
+                <div key={scene._id} className="scene-chip">
+                    <button
+                        className="scene-activate"
+                        onClick={() => activateScene(scene)}
+                        disabled={activatingId !== null}
+                        title={`${scene.targets.length} device${scene.targets.length === 1 ? '' : 's'}`}
+                    >
+                        {activatingId === scene._id ? 'Activating...' : scene.name}
+                    </button>
+                    <button
+                        className="scene-delete"
+                        onClick={() => deleteScene(scene)}
+                        title="Delete scene"
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+            <button
+                className="scene-capture"
+                onClick={captureScene}
+                disabled={devices.length === 0}
+            >
+                + Save current
+            </button>
+        </div>
+    );
+}
+
+// Conflicting rules are saved anyway; the server reports them so the user can decide
+function alertRuleWarnings(warnings) {
+    if (warnings && warnings.length > 0) {
+        alert('Saved, but this automation conflicts with other rules:\n' + warnings.map(warning => warning.message).join('\n'));
+    }
+}
+
 // Automations Micro Frontend
-function AutomationsMFE({ token, userId, automations, devices, onAutomationsChange }) {
+function AutomationsMFE({ token, userId, automations, devices, deviceTypes, onAutomationsChange }) {
     const [showForm, setShowForm] = useState(false);
     const [editingAutomation, setEditingAutomation] = useState(null);
+    const [historyAutomationId, setHistoryAutomationId] = useState(null);
 
     const executeAutomation = async (id) => {
         try {
@@ -753,11 +1289,13 @@ function AutomationsMFE({ token, userId, automations, devices, onAutomationsChan
                     'Authorization': `Bearer ${token}`
                 }
             });
+            const data = await response.json();
 
             if (response.ok) {
+                alertRuleWarnings(data.warnings);
                 onAutomationsChange();
             } else {
-                alert('Failed to toggle automation');
+                alert(data.error || 'Failed to toggle automation');
             }
         } catch (error) {
             console.error('Toggle error:', error);
@@ -808,6 +1346,7 @@ function AutomationsMFE({ token, userId, automations, devices, onAutomationsChan
                 <AutomationForm
                     token={token}
                     devices={devices}
+                    deviceTypes={deviceTypes}
                     automation={editingAutomation}
                     onSave={() => {
                         onAutomationsChange();
@@ -869,6 +1408,13 @@ function AutomationsMFE({ token, userId, automations, devices, onAutomationsChan
                             >
                                 Edit
                             </button>
+                            <button
+                                className="btn-edit"
+                                onClick={() => setHistoryAutomationId(historyAutomationId === auto._id ? null : auto._id)}
+                                title="Show execution history"
+                            >
+                                History
+                            </button>
                             <button
                                 className="btn-delete"
                                 onClick={() => deleteAutomation(auto._id)}
@@ -877,6 +1423,14 @@ function AutomationsMFE({ token, userId, automations, devices, onAutomationsChan
                                 Delete
                             </button>
                         </div>
+                        {historyAutomationId === auto._id && (
+                            <ExecutionTimeline
+                                token={token}
+                                automationId={auto._id}
+                                devices={devices}
+                                lastExecuted={auto.lastExecuted}
+                            />
+                        )}
                     </div>
                 ))}
                 {automations.length === 0 && (
@@ -889,12 +1443,176 @@ function AutomationsMFE({ token, userId, automations, devices, onAutomationsChan
     );
 }
 
-function AutomationForm({ token, devices, automation, onSave, onCancel }) {
-    const [name, setName] = useState(automation?.name || '');
-    const [description, setDescription] = useState(automation?.description || '');
-    const [triggerType, setTriggerType] = useState(automation?.trigger?.type || 'time');
-    const [selectedDevice, setSelectedDevice] = useState(automation?.actions?.[0]?.deviceId?.toString() || '');
-    const [submitting, setSubmitting] = useState(false);
+function ExecutionTimeline({ token, automationId, devices, lastExecuted }) {
+    const [executions, setExecutions] = useState([]);
+    const [page, setPage] = useState(1);
+    const [pages, setPages] = useState(1);
+    const [loading, setLoading] = useState(false);
+
+    const loadExecutions = async (pageToLoad) => {
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_URL}/api/automations/${automationId}/executions?page=${pageToLoad}&limit=10`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setExecutions(prev => (pageToLoad === 1 ? data.executions : [...prev, ...data.executions]));
+                setPage(pageToLoad);
+                setPages(data.pagination.pages);
+            }
+        } catch (error) {
+            console.error('Load executions error:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Reload when the automation runs again
+    useEffect(() => {
+        loadExecutions(1);
+    }, [automationId, lastExecuted]);
+
+    const getDeviceName = (deviceId) => {
+        const device = devices.find(d => d.id === deviceId);
+        return device ? device.name : `Device ${deviceId}`;
+    };
+
+    const cancelExecution = async (executionId) => {
+        try {
+            const response = await fetch(`${API_URL}/api/automations/${automationId}/executions/${executionId}/cancel`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                loadExecutions(1);
+            } else {
+                alert('Failed to cancel execution');
+            }
+        } catch (error) {
+            console.error('Cancel execution error:', error);
+            alert('Failed to cancel execution');
+        }
+    };
+
+    // What a waiting sequence is paused on, e.g. "step 2 of 3, until 18:05"
+    const describeWait = (sequence) => {
+        const action = sequence.actions[sequence.step];
+        const until = new Date(action.type === 'waitUntil' ? sequence.deadline : sequence.resumeAt);
+        const verb = action.type === 'waitUntil' ? 'waiting for condition, at most until' : 'paused until';
+        return `Step ${sequence.step + 1} of ${sequence.actions.length}: ${verb} ${until.toLocaleTimeString()}`;
+    };
+
+    return (
+        <div className="execution-timeline">
+            {executions.length === 0 && !loading && (
+                <p className="execution-empty">This automation has not run yet.</p>
+            )}
+            {executions.map(execution => (
+                <div key={execution._id} className="execution-item">
+                    <div className="execution-header">
+                        <span className="execution-time">{new Date(execution.startedAt).toLocaleString()}</span>
+                        <span className="execution-source">{execution.source}</span>
+                        <span className={`execution-status ${execution.status}`}>{execution.status}</span>
+                    </div>
+                    {execution.error && <p className="execution-error">{execution.error}</p>}
+                    {execution.status === 'waiting' && execution.sequence && (
+                        <div className="execution-waiting">
+                            <span>{describeWait(execution.sequence)}</span>
+                            <button className="btn-secondary" onClick={() => cancelExecution(execution._id)}>
+                                Cancel
+                            </button>
+                        </div>
+                    )}
+                    <ul className="execution-commands">
+                        {execution.commands.map(command => (
+                            <li key={command.commandId}>
+                                {getDeviceName(command.deviceId)}: <span className={`execution-status ${command.status}`}>{command.status}</span>
+                                {command.error && <span className="execution-error"> ({command.error})</span>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+            {page < pages && (
+                <button className="btn-secondary" onClick={() => loadExecutions(page + 1)} disabled={loading}>
+                    {loading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+function AutomationForm({ token, devices, deviceTypes, automation, onSave, onCancel }) {
+    const [name, setName] = useState(automation?.name || '');
+    const [description, setDescription] = useState(automation?.description || '');
+    const [triggerType, setTriggerType] = useState(automation?.trigger?.type || 'time');
+    const [triggerTime, setTriggerTime] = useState(automation?.trigger?.conditions?.time || '08:00');
+    const [sensorEvent, setSensorEvent] = useState(automation?.trigger?.conditions?.event || 'motion.detected');
+    const [minConfidence, setMinConfidence] = useState(automation?.trigger?.conditions?.minConfidence ?? '');
+    const [triggerDevice, setTriggerDevice] = useState(automation?.trigger?.conditions?.deviceId?.toString() || '');
+    const [when, setWhen] = useState(automation?.trigger?.conditions?.when || null);
+    const [selectedDevice, setSelectedDevice] = useState(automation?.actions?.[0]?.deviceId?.toString() || '');
+    const [offAfterMinutes, setOffAfterMinutes] = useState(
+        automation?.actions?.[1]?.type === 'delay' ? String(automation.actions[1].seconds / 60) : ''
+    );
+    // The stored mode is kept unless the restart checkbox is changed; unchecking it goes back
+    // to the stored mode, or parallel when that was restart
+    const [mode, setMode] = useState(automation?.mode || 'parallel');
+    const previousMode = automation && automation.mode && automation.mode !== 'restart' ? automation.mode : 'parallel';
+    const [submitting, setSubmitting] = useState(false);
+
+    const buildConditions = () => {
+        if (triggerType === 'time') {
+            return {
+                time: triggerTime,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            };
+        }
+        const conditions = {};
+        if (triggerType === 'sensor') {
+            conditions.event = sensorEvent;
+            if (minConfidence !== '') {
+                conditions.minConfidence = parseFloat(minConfidence);
+            }
+        } else if (triggerDevice) {
+            conditions.deviceId = parseInt(triggerDevice);
+        }
+        if (when) {
+            conditions.when = when;
+        }
+        return conditions;
+    };
+
+    // Suggested conditions for the trigger device's type
+    const triggerDeviceType = triggerType === 'device' &&
+        findDeviceType(deviceTypes, devices.find(device => String(device.id) === triggerDevice)?.type);
+    const conditionPresets = triggerDeviceType ? triggerDeviceType.triggers : [];
+
+    // Devices that can be switched on and off, by the field their type switches
+    const switchableDevices = devices.filter(device => getSwitchField(deviceTypes, device));
+
+    // Turn the device on, optionally followed by a delay and turning it off again
+    const buildActions = () => {
+        if (!selectedDevice) {
+            return [];
+        }
+        const deviceId = parseInt(selectedDevice);
+        const field = getSwitchField(deviceTypes, devices.find(device => device.id === deviceId)) || 'on';
+        const actions = [{ deviceId, state: { [field]: true } }];
+        if (offAfterMinutes !== '') {
+            actions.push(
+                { type: 'delay', seconds: Math.round(parseFloat(offAfterMinutes) * 60) },
+                { deviceId, state: { [field]: false } }
+            );
+        }
+        return actions;
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -916,18 +1634,18 @@ function AutomationForm({ token, devices, automation, onSave, onCancel }) {
                 body: JSON.stringify({
                     name,
                     description,
-                    trigger: { type: triggerType, conditions: {} },
-                    actions: selectedDevice ? [{
-                        deviceId: parseInt(selectedDevice),
-                        state: { on: true }
-                    }] : []
+                    trigger: { type: triggerType, conditions: buildConditions() },
+                    actions: buildActions(),
+                    mode
                 })
             });
 
+            const data = await response.json();
+
             if (response.ok) {
+                alertRuleWarnings(data.warnings);
                 onSave();
             } else {
-                const data = await response.json();
                 alert(data.error || 'Failed to save automation');
             }
         } catch (error) {
@@ -972,11 +1690,64 @@ function AutomationForm({ token, devices, automation, onSave, onCancel }) {
                 </select>
             </div>
 
+            {triggerType === 'time' && (
+                <div className="form-group">
+                    <label>Run At *</label>
+                    <input
+                        type="time"
+                        value={triggerTime}
+                        onChange={(e) => setTriggerTime(e.target.value)}
+                        required
+                    />
+                </div>
+            )}
+
+            {triggerType === 'sensor' && (
+                <>
+                    <div className="form-group">
+                        <label>Sensor Event *</label>
+                        <select value={sensorEvent} onChange={(e) => setSensorEvent(e.target.value)} required>
+                            <option value="motion.detected">🚨 Motion detected</option>
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Minimum Confidence</label>
+                        <input
+                            type="number"
+                            min="0"
+                            max="1"
+                            step="0.05"
+                            placeholder="e.g., 0.9"
+                            value={minConfidence}
+                            onChange={(e) => setMinConfidence(e.target.value)}
+                        />
+                    </div>
+                </>
+            )}
+
+            {triggerType === 'device' && (
+                <div className="form-group">
+                    <label>Trigger Device *</label>
+                    <select value={triggerDevice} onChange={(e) => setTriggerDevice(e.target.value)} required>
+                        <option value="">Select a device</option>
+                        {devices.map(device => (
+                            <option key={device.id} value={device.id}>
+                                {device.name} ({device.type})
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {triggerType !== 'time' && (
+                <ConditionBuilder value={when} devices={devices} presets={conditionPresets} onChange={setWhen} />
+            )}
+
             <div className="form-group">
                 <label>Device to Control</label>
                 <select value={selectedDevice} onChange={(e) => setSelectedDevice(e.target.value)}>
                     <option value="">Select a device</option>
-                    {devices.map(device => (
+                    {switchableDevices.map(device => (
                         <option key={device.id} value={device.id}>
                             {device.name} ({device.type})
                         </option>
@@ -984,6 +1755,30 @@ function AutomationForm({ token, devices, automation, onSave, onCancel }) {
                 </select>
             </div>
 
+            {selectedDevice && (
+                <div className="form-group">
+                    <label>Turn Off After (minutes)</label>
+                    <input
+                        type="number"
+                        min="0.5"
+                        step="0.5"
+                        placeholder="Leave empty to keep it on"
+                        value={offAfterMinutes}
+                        onChange={(e) => setOffAfterMinutes(e.target.value)}
+                    />
+                    {offAfterMinutes !== '' && (
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={mode === 'restart'}
+                                onChange={(e) => setMode(e.target.checked ? 'restart' : previousMode)}
+                            />
+                            Restart the timer when triggered again
+                        </label>
+                    )}
+                </div>
+            )}
+
             <div className="form-actions">
                 <button type="submit" className="btn-primary" disabled={submitting}>
                     {submitting ? 'Saving...' : (automation ? 'Update Automation' : 'Create Automation')}
@@ -996,13 +1791,220 @@ function AutomationForm({ token, devices, automation, onSave, onCancel }) {
     );
 }
 
+// Operators of the trigger condition language (see automation-service schemas/condition.schema.json)
+const CONDITION_OPERATORS = [
+    { value: 'eq', label: 'equals' },
+    { value: 'neq', label: 'not equals' },
+    { value: 'gt', label: '>' },
+    { value: 'gte', label: '>=' },
+    { value: 'lt', label: '<' },
+    { value: 'lte', label: '<=' },
+    { value: 'between', label: 'between' },
+    { value: 'in', label: 'one of' },
+    { value: 'changed', label: 'changed' },
+    { value: 'changedTo', label: 'changed to' },
+    { value: 'changedFrom', label: 'changed from' }
+];
+
+const LIST_OPERATORS = ['between', 'in'];
+
+function parseConditionScalar(text) {
+    const trimmed = text.trim();
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+    return trimmed;
+}
+
+function formatConditionValue(value) {
+    if (value === undefined) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Only flat all/any lists of comparisons are editable here; anything deeper is kept as-is
+function parseConditionRows(when) {
+    if (!when) return { match: 'all', rows: [], editable: true };
+
+    const group = when.all ? 'all' : when.any ? 'any' : null;
+    const leaves = group ? when[group] : [when];
+    if (!leaves.every(leaf => leaf.field && leaf.op)) {
+        return { match: 'all', rows: [], editable: false };
+    }
+
+    return {
+        match: group || 'all',
+        rows: leaves.map(leaf => ({
+            deviceId: leaf.deviceId !== undefined ? String(leaf.deviceId) : '',
+            field: leaf.field,
+            op: leaf.op,
+            value: formatConditionValue(leaf.value),
+            // Optional narrowing of a `changed` leaf
+            from: formatConditionValue(leaf.from),
+            to: formatConditionValue(leaf.to)
+        })),
+        editable: true
+    };
+}
+
+function buildConditionExpression(match, rows) {
+    const leaves = rows
+        .filter(row => row.field.trim())
+        .map(row => {
+            const leaf = { field: row.field.trim(), op: row.op };
+            if (row.deviceId) {
+                leaf.deviceId = parseInt(row.deviceId);
+            }
+            if (LIST_OPERATORS.includes(row.op)) {
+                leaf.value = row.value.split(',').map(parseConditionScalar);
+            } else if (row.op !== 'changed') {
+                leaf.value = parseConditionScalar(row.value);
+            } else {
+                for (const key of ['from', 'to']) {
+                    if (row[key] && row[key].trim()) {
+                        leaf[key] = parseConditionScalar(row[key]);
+                    }
+                }
+            }
+            return leaf;
+        });
+
+    if (leaves.length === 0) return null;
+    return { [match]: leaves };
+}
+
+function ConditionBuilder({ value, devices, presets = [], onChange }) {
+    const initial = parseConditionRows(value);
+    const [match, setMatch] = useState(initial.match);
+    const [rows, setRows] = useState(initial.rows);
+
+    if (!initial.editable) {
+        return (
+            <div className="form-group">
+                <label>Conditions</label>
+                <p className="condition-note">This automation uses nested conditions; edit them through the API.</p>
+            </div>
+        );
+    }
+
+    const update = (nextMatch, nextRows) => {
+        setMatch(nextMatch);
+        setRows(nextRows);
+        onChange(buildConditionExpression(nextMatch, nextRows));
+    };
+
+    const updateRow = (index, changes) => {
+        update(match, rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    };
+
+    return (
+        <div className="form-group">
+            <label>
+                Conditions{' '}
+                <select
+                    className="condition-match"
+                    value={match}
+                    onChange={(e) => update(e.target.value, rows)}
+                >
+                    <option value="all">match all</option>
+                    <option value="any">match any</option>
+                </select>
+            </label>
+            {rows.map((row, index) => (
+                <div key={index} className="condition-row">
+                    <select
+                        value={row.deviceId}
+                        onChange={(e) => updateRow(index, { deviceId: e.target.value })}
+                        title="Device whose state is checked"
+                    >
+                        <option value="">Triggering device</option>
+                        {devices.map(device => (
+                            <option key={device.id} value={device.id}>{device.name}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        placeholder="field, e.g. temperature"
+                        value={row.field}
+                        onChange={(e) => updateRow(index, { field: e.target.value })}
+                    />
+                    <select value={row.op} onChange={(e) => updateRow(index, { op: e.target.value })}>
+                        {CONDITION_OPERATORS.map(op => (
+                            <option key={op.value} value={op.value}>{op.label}</option>
+                        ))}
+                    </select>
+                    {row.op !== 'changed' ? (
+                        <input
+                            type="text"
+                            placeholder={LIST_OPERATORS.includes(row.op) ? 'e.g. 20, 60' : 'value'}
+                            value={row.value}
+                            onChange={(e) => updateRow(index, { value: e.target.value })}
+                        />
+                    ) : (
+                        <>
+                            <input
+                                type="text"
+                                placeholder="from (any)"
+                                value={row.from || ''}
+                                onChange={(e) => updateRow(index, { from: e.target.value })}
+                            />
+                            <input
+                                type="text"
+                                placeholder="to (any)"
+                                value={row.to || ''}
+                                onChange={(e) => updateRow(index, { to: e.target.value })}
+                            />
+                        </>
+                    )}
+                    <button
+                        type="button"
+                        className="btn-delete"
+                        onClick={() => update(match, rows.filter((_, i) => i !== index))}
+                        title="Remove condition"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => update(match, [...rows, { deviceId: '', field: '', op: 'eq', value: '' }])}
+            >
+                + Add Condition
+            </button>
+            {presets.length > 0 && (
+                <select
+                    className="condition-preset"
+                    value=""
+                    onChange={(e) => {
+                        const { condition } = presets[e.target.value];
+                        update(match, [...rows, {
+                            deviceId: '',
+                            field: condition.field,
+                            op: condition.op,
+                            value: formatConditionValue(condition.value),
+                            from: formatConditionValue(condition.from),
+                            to: formatConditionValue(condition.to)
+                        }]);
+                    }}
+                >
+                    <option value="">+ Suggested condition…</option>
+                    {presets.map((preset, index) => (
+                        <option key={preset.name} value={index}>{preset.name}</option>
+                    ))}
+                </select>
+            )}
+        </div>
+    );
+}
+
 // Dashboard Micro Frontend
 function DashboardMFE({ token, devices, automations }) {
     const stats = {
         total: devices.length,
-        online: devices.length, // All devices are considered online now
-        offline: 0,
-        active: devices.filter(d => d.state.on || d.state.active || d.state.recording).length
+        online: devices.filter(d => d.status === 'online').length,
+        offline: devices.filter(d => d.status !== 'online').length,
+        active: devices.filter(d => d.state.on || d.state.active || d.state.recording || d.state.playing || d.state.open).length
     };
 
     const devicesByRoom = devices.reduce((acc, device) => {
@@ -1024,9 +2026,13 @@ function DashboardMFE({ token, devices, automations }) {
                     <p className="stat-value">{stats.total}</p>
                 </div>
                 <div className="stat-card online">
-                    <h3>Ready</h3>
+                    <h3>Online</h3>
                     <p className="stat-value">{stats.online}</p>
                 </div>
+                <div className="stat-card offline">
+                    <h3>Offline</h3>
+                    <p className="stat-value">{stats.offline}</p>
+                </div>
                 <div className="stat-card active">
                     <h3>Active</h3>
                     <p className="stat-value">{stats.active}</p>
@@ -1047,8 +2053,8 @@ function DashboardMFE({ token, devices, automations }) {
                                 {roomDevices.map(device => (
                                     <div key={device.id} className="status-item">
                                         <span>{device.name}</span>
-                                        <span className="status-badge online">
-                                            Ready
+                                        <span className={`status-badge ${device.status === 'online' ? 'online' : 'offline'}`}>
+                                            {device.status === 'online' ? 'Online' : 'Offline'}
                                         </span>
                                     </div>
                                 ))}
@@ -1065,4 +2071,443 @@ function DashboardMFE({ token, devices, automations }) {
     );
 }
 
+// Deliver checkbox and minimum severity for one notification type, device or room
+function PreferenceRule({ label, rule, severities, onChange }) {
+    const current = rule || {};
+
+    return (
+        <div className="preference-row">
+            <span className="preference-label">{label}</span>
+            <label className="checkbox-label">
+                <input
+                    type="checkbox"
+                    checked={current.enabled !== false}
+                    onChange={(e) => onChange({ enabled: e.target.checked ? undefined : false })}
+                />
+                Deliver
+            </label>
+            <select
+                value={current.minSeverity || ''}
+                onChange={(e) => onChange({ minSeverity: e.target.value || undefined })}
+                disabled={current.enabled === false}
+            >
+                <option value="">Any severity</option>
+                {severities.map(severity => (
+                    <option key={severity} value={severity}>{severity} and above</option>
+                ))}
+            </select>
+        </div>
+    );
+}
+
+function NotificationSettings({ token, devices }) {
+    const [preferences, setPreferences] = useState(null);
+    const [types, setTypes] = useState({});
+    const [severities, setSeverities] = useState([]);
+    const [channelTypes, setChannelTypes] = useState([]);
+    const [digestFrequencies, setDigestFrequencies] = useState([]);
+    const [newChannelType, setNewChannelType] = useState('email');
+    const [newChannelTarget, setNewChannelTarget] = useState('');
+    const [deliveries, setDeliveries] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const loadPreferences = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/preferences`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setPreferences(data.preferences);
+                setTypes(data.types);
+                setSeverities(data.severities);
+                setChannelTypes(data.channelTypes);
+                setDigestFrequencies(data.digestFrequencies);
+            }
+        } catch (error) {
+            console.error('Load notification preferences error:', error);
+        }
+    };
+
+    const loadDeliveries = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/deliveries?limit=20`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setDeliveries(data.deliveries);
+            }
+        } catch (error) {
+            console.error('Load deliveries error:', error);
+        }
+    };
+
+    useEffect(() => {
+        loadPreferences();
+        loadDeliveries();
+    }, [token]);
+
+    // scope is 'types', 'devices' or 'rooms'; a rule left without settings is removed
+    const updateRule = (scope, key, changes) => {
+        setPreferences(prev => {
+            const rule = { ...(prev[scope][key] || {}), ...changes };
+            for (const field of Object.keys(rule)) {
+                if (rule[field] === undefined) {
+                    delete rule[field];
+                }
+            }
+
+            const rules = { ...prev[scope] };
+            if (Object.keys(rule).length > 0) {
+                rules[key] = rule;
+            } else {
+                delete rules[key];
+            }
+            return { ...prev, [scope]: rules };
+        });
+    };
+
+    const updateQuietHours = (changes) => {
+        setPreferences(prev => ({ ...prev, quietHours: { ...prev.quietHours, ...changes } }));
+    };
+
+    const toggleQuietHours = (enabled) => {
+        const changes = { enabled };
+        // Default to the browser's timezone the first time quiet hours are turned on
+        if (enabled && preferences.quietHours.timezone === 'UTC') {
+            changes.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        }
+        updateQuietHours(changes);
+    };
+
+    const updateDigest = (changes) => {
+        setPreferences(prev => ({ ...prev, digest: { ...prev.digest, ...changes } }));
+    };
+
+    const toggleDigestType = (type, included) => {
+        const digestTypes = preferences.digest.types.filter(item => item !== type);
+        updateDigest({ types: included ? [...digestTypes, type] : digestTypes });
+    };
+
+    // Channels are saved together with the rest of the preferences. Email goes to the
+    // account's own address, which the server fills in
+    const addChannel = () => {
+        const target = newChannelTarget.trim();
+        if (newChannelType !== 'email' && !target) return;
+
+        const channel = {
+            type: newChannelType,
+            enabled: true,
+            minSeverity: 'warning',
+            config: newChannelType === 'email' ? {} : { url: target }
+        };
+        setPreferences(prev => ({ ...prev, channels: [...prev.channels, channel] }));
+        setNewChannelTarget('');
+    };
+
+    const updateChannel = (index, changes) => {
+        setPreferences(prev => ({
+            ...prev,
+            channels: prev.channels.map((channel, i) => (i === index ? { ...channel, ...changes } : channel))
+        }));
+    };
+
+    const removeChannel = (index) => {
+        setPreferences(prev => ({ ...prev, channels: prev.channels.filter((channel, i) => i !== index) }));
+    };
+
+    const savePreferences = async () => {
+        setSaving(true);
+        try {
+            const response = await fetch(`${API_URL}/api/notifications/preferences`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(preferences)
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setPreferences(data.preferences);
+            } else {
+                alert(data.error || 'Failed to save notification preferences');
+            }
+        } catch (error) {
+            console.error('Save notification preferences error:', error);
+            alert('Failed to save notification preferences');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!preferences) {
+        return (
+            <div className="notification-settings">
+                <h2>Notification Settings</h2>
+                <div className="empty-state">
+                    <p>Loading preferences...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const rooms = [...new Set(devices.map(device => device.room || 'Unassigned'))];
+
+    return (
+        <div className="notification-settings">
+            <h2>Notification Settings</h2>
+
+            <div className="settings-section">
+                <h3>General</h3>
+                <div className="form-group">
+                    <label>Minimum severity</label>
+                    <select
+                        value={preferences.minSeverity}
+                        onChange={(e) => setPreferences({ ...preferences, minSeverity: e.target.value })}
+                    >
+                        {severities.map(severity => (
+                            <option key={severity} value={severity}>{severity} and above</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="settings-section">
+                <h3>Quiet Hours</h3>
+                <p className="settings-hint">
+                    Notifications during quiet hours stay in the inbox without alerting you. Security alerts always come through.
+                </p>
+                <div className="form-group">
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={preferences.quietHours.enabled}
+                            onChange={(e) => toggleQuietHours(e.target.checked)}
+                        />
+                        Enable quiet hours
+                    </label>
+                </div>
+                {preferences.quietHours.enabled && (
+                    <div className="quiet-hours">
+                        <div className="form-group">
+                            <label>From</label>
+                            <input
+                                type="time"
+                                value={preferences.quietHours.start}
+                                onChange={(e) => updateQuietHours({ start: e.target.value })}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Until</label>
+                            <input
+                                type="time"
+                                value={preferences.quietHours.end}
+                                onChange={(e) => updateQuietHours({ end: e.target.value })}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Timezone</label>
+                            <input
+                                type="text"
+                                value={preferences.quietHours.timezone}
+                                onChange={(e) => updateQuietHours({ timezone: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <div className="settings-section">
+                <h3>Digest</h3>
+                <p className="settings-hint">
+                    Bundle low-priority notifications into one summary instead of getting each of them. Security alerts are never bundled.
+                </p>
+                <div className="form-group">
+                    <label className="checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={preferences.digest.enabled}
+                            onChange={(e) => updateDigest({ enabled: e.target.checked })}
+                        />
+                        Enable digest
+                    </label>
+                </div>
+                {preferences.digest.enabled && (
+                    <>
+                        <div className="form-group">
+                            <label>Send</label>
+                            <select
+                                value={preferences.digest.frequency}
+                                onChange={(e) => updateDigest({ frequency: e.target.value })}
+                            >
+                                {digestFrequencies.map(frequency => (
+                                    <option key={frequency} value={frequency}>{frequency}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="digest-types">
+                            {Object.keys(types)
+                                .filter(type => types[type] !== 'critical' && type !== 'notification.digest')
+                                .map(type => (
+                                    <label key={type} className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={preferences.digest.types.includes(type)}
+                                            onChange={(e) => toggleDigestType(type, e.target.checked)}
+                                        />
+                                        {getNotificationIcon(type)} {type}
+                                    </label>
+                                ))}
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="settings-section">
+                <h3>By Type</h3>
+                {Object.keys(types).map(type => (
+                    <PreferenceRule
+                        key={type}
+                        label={`${getNotificationIcon(type)} ${type}`}
+                        rule={preferences.types[type]}
+                        severities={severities}
+                        onChange={(changes) => updateRule('types', type, changes)}
+                    />
+                ))}
+            </div>
+
+            {rooms.length > 0 && (
+                <div className="settings-section">
+                    <h3>By Room</h3>
+                    {rooms.map(room => (
+                        <PreferenceRule
+                            key={room}
+                            label={room}
+                            rule={preferences.rooms[room]}
+                            severities={severities}
+                            onChange={(changes) => updateRule('rooms', room, changes)}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {devices.length > 0 && (
+                <div className="settings-section">
+                    <h3>By Device</h3>
+                    {devices.map(device => (
+                        <PreferenceRule
+                            key={device.id}
+                            label={`${device.name} (${device.room || 'Unassigned'})`}
+                            rule={preferences.devices[device.id]}
+                            severities={severities}
+                            onChange={(changes) => updateRule('devices', String(device.id), changes)}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <div className="settings-section">
+                <h3>Email &amp; Webhooks</h3>
+                <p className="settings-hint">
+                    Also send notifications to these channels, e.g. security alerts when no browser tab is open.
+                    Webhooks are signed with HMAC-SHA256 in the X-Smart-Home-Signature header.
+                </p>
+                {preferences.channels.map((channel, index) => (
+                    <div key={channel.id || `new-${index}`} className="channel-row">
+                        <div className="preference-row">
+                            <span className="preference-label">
+                                {channel.type === 'email' ? '✉️' : '🔗'} {channel.config.to || channel.config.url || 'Your account email'}
+                            </span>
+                            <label className="checkbox-label">
+                                <input
+                                    type="checkbox"
+                                    checked={channel.enabled !== false}
+                                    onChange={(e) => updateChannel(index, { enabled: e.target.checked })}
+                                />
+                                Enabled
+                            </label>
+                            <select
+                                value={channel.minSeverity || 'warning'}
+                                onChange={(e) => updateChannel(index, { minSeverity: e.target.value })}
+                            >
+                                {severities.map(severity => (
+                                    <option key={severity} value={severity}>{severity} and above</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="channel-details">
+                            {channel.type === 'webhook' && (
+                                <span className="channel-secret">
+                                    {channel.config.secret ? `Secret: ${channel.config.secret}` : 'A signing secret is generated on save'}
+                                </span>
+                            )}
+                            <button className="btn-delete" onClick={() => removeChannel(index)}>Remove</button>
+                        </div>
+                    </div>
+                ))}
+                <div className="channel-add">
+                    <select value={newChannelType} onChange={(e) => setNewChannelType(e.target.value)}>
+                        {channelTypes.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    {newChannelType === 'email' ? (
+                        <span className="channel-target">Your account email</span>
+                    ) : (
+                        <input
+                            type="text"
+                            placeholder="https://example.com/hooks/smart-home"
+                            value={newChannelTarget}
+                            onChange={(e) => setNewChannelTarget(e.target.value)}
+                        />
+                    )}
+                    <button className="btn-secondary" onClick={addChannel}>Add</button>
+                </div>
+            </div>
+
+            <div className="form-actions">
+                <button className="btn-primary" onClick={savePreferences} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Preferences'}
+                </button>
+            </div>
+
+            <div className="settings-section">
+                <div className="settings-section-header">
+                    <h3>Recent Deliveries</h3>
+                    <button className="btn-secondary" onClick={loadDeliveries}>Refresh</button>
+                </div>
+                {deliveries.length === 0 ? (
+                    <p className="settings-hint">No email or webhook deliveries yet</p>
+                ) : (
+                    deliveries.map(delivery => {
+                        const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+                        return (
+                            <div key={delivery.id} className="delivery-row">
+                                <span className={`execution-status ${delivery.status}`}>{delivery.status}</span>
+                                <span className="delivery-target">
+                                    {delivery.channel.type === 'email' ? '✉️' : '🔗'} {delivery.target}
+                                </span>
+                                <span className="delivery-message">{delivery.notification.message}</span>
+                                <span className="notification-time">
+                                    {delivery.attempts.length} attempt{delivery.attempts.length === 1 ? '' : 's'}
+                                    {lastAttempt && lastAttempt.error ? ` · ${lastAttempt.error}` : ''}
+                                    {' · '}{formatNotificationTime(delivery.createdAt)}
+                                </span>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+}
+
 export default App;
\ No newline at end of file
@@ -1,4 +1,7 @@
 const { Kafka } = require('kafkajs');
+const { EventValidationError, createEvent } = require('@smart-home/events');
+
+const SERVICE_NAME = 'motion-detector';
 
 // Kafka connection
 const kafka = new Kafka({
@@ -55,7 +58,7 @@ module.exports = async (event, context) => {
 
         // Parse the input
         const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-        const { cameraId, imageData, userId, deviceName } = body;
+        const { cameraId, imageData, userId, homeId, deviceName } = body;
 
         if (!cameraId || !userId) {
             return {
@@ -80,16 +83,19 @@ module.exports = async (event, context) => {
                 topic: 'sensor-data',
                 messages: [{
                     key: cameraId.toString(),
-                    value: JSON.stringify({
-                        type: 'motion.detected',
-                        cameraId,
-                        deviceName: deviceName || `Camera ${cameraId}`,
+                    value: JSON.stringify(createEvent('motion.detected', {
+                        source: SERVICE_NAME,
                         userId,
-                        confidence: detectionResult.confidence,
-                        peopleCount: detectionResult.peopleCount,
-                        alertLevel: detectionResult.alertLevel,
-                        timestamp: detectionResult.timestamp
-                    })
+                        homeId,
+                        occurredAt: detectionResult.timestamp,
+                        payload: {
+                            cameraId,
+                            deviceName: deviceName || `Camera ${cameraId}`,
+                            confidence: detectionResult.confidence,
+                            peopleCount: detectionResult.peopleCount,
+                            alertLevel: detectionResult.alertLevel
+                        }
+                    }))
                 }]
             });
 
@@ -99,14 +105,17 @@ module.exports = async (event, context) => {
                     topic: 'automation-events',
                     messages: [{
                         key: `motion-${cameraId}`,
-                        value: JSON.stringify({
-                            type: 'security.alert',
-                            trigger: 'motion_detection',
-                            cameraId,
+                        value: JSON.stringify(createEvent('security.alert', {
+                            source: SERVICE_NAME,
                             userId,
-                            severity: 'high',
-                            timestamp: detectionResult.timestamp
-                        })
+                            homeId,
+                            occurredAt: detectionResult.timestamp,
+                            payload: {
+                                trigger: 'motion_detection',
+                                cameraId,
+                                severity: 'high'
+                            }
+                        }))
                     }]
                 });
             }
@@ -122,6 +131,14 @@ module.exports = async (event, context) => {
             })
         };
     } catch (error) {
+        // The input does not fit the event schema, e.g. a non-numeric confidence or a bad userId
+        if (error instanceof EventValidationError) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+
         console.error('Motion detection error:', error);
 
         return {
@@ -0,0 +1,273 @@
+// Condition expressions for automation triggers.
+//
+// An expression is either a leaf comparison
+//   { field: 'temperature', op: 'gt', value: 25 }
+// a sun leaf
+//   { sun: 'down', offsetMinutes: 30 }
+// or a group
+//   { all: [expr, ...] }  (AND)
+//   { any: [expr, ...] }  (OR)
+//   { not: expr }
+//
+// Leaves are evaluated against { current, previous } state objects; `field`
+// may be a dotted path. A leaf with a `deviceId` is evaluated against that
+// device's current state instead, looked up in context.devices. The JSON
+// schema in schemas/condition.schema.json documents the same model for API
+// clients.
+
+const { HOME_LATITUDE, HOME_LONGITUDE, hasLocation, isSunUp } = require('./sun');
+
+const COMPARISON_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'exists'];
+const CHANGE_OPERATORS = ['changed', 'changedTo', 'changedFrom'];
+const OPERATORS = [...COMPARISON_OPERATORS, ...CHANGE_OPERATORS];
+
+// Operators that compare against `value` and therefore require it
+const VALUE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'changedTo', 'changedFrom'];
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const MAX_DEPTH = 10;
+
+// Trigger condition keys that are not device state fields
+const RESERVED_KEYS = ['deviceId', 'timeWindow', 'when'];
+
+function getField(source, path) {
+    if (source === null || source === undefined) return undefined;
+
+    let value = source;
+    for (const segment of String(path).split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[segment];
+    }
+    return value;
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function sameDevice(a, b) {
+    return a !== undefined && a !== null && b !== undefined && b !== null && String(a) === String(b);
+}
+
+// State a leaf compares against: the triggering state, or another device's current state
+function resolveStates(leaf, context) {
+    if (leaf.deviceId === undefined || sameDevice(leaf.deviceId, context.deviceId)) {
+        return { current: context.current, previous: context.previous };
+    }
+
+    const devices = context.devices || {};
+    return { current: devices[leaf.deviceId], previous: undefined };
+}
+
+function compareSun(leaf, context) {
+    const latitude = leaf.latitude !== undefined ? leaf.latitude : HOME_LATITUDE;
+    const longitude = leaf.longitude !== undefined ? leaf.longitude : HOME_LONGITUDE;
+
+    if (!hasLocation(latitude, longitude)) {
+        return { passed: false, error: 'No location configured' };
+    }
+
+    const up = isSunUp(context.now || new Date(), latitude, longitude, leaf.offsetMinutes || 0);
+    return { actual: up ? 'up' : 'down', passed: (leaf.sun === 'up') === up };
+}
+
+function compareLeaf(leaf, context) {
+    if (leaf.sun !== undefined) {
+        return compareSun(leaf, context);
+    }
+
+    const states = resolveStates(leaf, context);
+    const actual = getField(states.current, leaf.field);
+    const previous = getField(states.previous, leaf.field);
+    const hasPrevious = states.previous !== undefined && states.previous !== null;
+    const changed = hasPrevious && !isEqual(actual, previous);
+
+    switch (leaf.op) {
+        case 'eq':
+            return { actual, passed: isEqual(actual, leaf.value) };
+        case 'neq':
+            return { actual, passed: !isEqual(actual, leaf.value) };
+        case 'gt':
+            return { actual, passed: typeof actual === 'number' && actual > leaf.value };
+        case 'gte':
+            return { actual, passed: typeof actual === 'number' && actual >= leaf.value };
+        case 'lt':
+            return { actual, passed: typeof actual === 'number' && actual < leaf.value };
+        case 'lte':
+            return { actual, passed: typeof actual === 'number' && actual <= leaf.value };
+        case 'between':
+            return {
+                actual,
+                passed: typeof actual === 'number' && actual >= leaf.value[0] && actual <= leaf.value[1]
+            };
+        case 'in':
+            return { actual, passed: leaf.value.some(candidate => isEqual(actual, candidate)) };
+        case 'exists':
+            return { actual, passed: actual !== undefined && actual !== null };
+        case 'changed':
+            // Optional from/to narrow the change, e.g. locked changed from true to false
+            return {
+                actual,
+                previous,
+                passed: changed &&
+                    (leaf.from === undefined || isEqual(previous, leaf.from)) &&
+                    (leaf.to === undefined || isEqual(actual, leaf.to))
+            };
+        case 'changedTo':
+            return { actual, previous, passed: changed && isEqual(actual, leaf.value) };
+        case 'changedFrom':
+            return { actual, previous, passed: changed && isEqual(previous, leaf.value) };
+        default:
+            return { actual, passed: false };
+    }
+}
+
+// Evaluate an expression and return a result tree mirroring it, with `passed` on every node
+function evaluateCondition(expression, context) {
+    if (Array.isArray(expression.all)) {
+        const children = expression.all.map(child => evaluateCondition(child, context));
+        return { all: children, passed: children.every(child => child.passed) };
+    }
+
+    if (Array.isArray(expression.any)) {
+        const children = expression.any.map(child => evaluateCondition(child, context));
+        return { any: children, passed: children.some(child => child.passed) };
+    }
+
+    if (expression.not !== undefined) {
+        const child = evaluateCondition(expression.not, context);
+        return { not: child, passed: !child.passed };
+    }
+
+    return { ...expression, ...compareLeaf(expression, context) };
+}
+
+// Returns an error message, or null when the expression is well formed
+function validateCondition(expression, path = 'when', depth = 0) {
+    if (depth > MAX_DEPTH) {
+        return `${path} is nested too deeply (max ${MAX_DEPTH} levels)`;
+    }
+
+    if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+        return `${path} must be an object`;
+    }
+
+    for (const group of ['all', 'any']) {
+        if (expression[group] !== undefined) {
+            if (!Array.isArray(expression[group]) || expression[group].length === 0) {
+                return `${path}.${group} must be a non-empty array`;
+            }
+            for (let i = 0; i < expression[group].length; i++) {
+                const error = validateCondition(expression[group][i], `${path}.${group}[${i}]`, depth + 1);
+                if (error) return error;
+            }
+            return null;
+        }
+    }
+
+    if (expression.not !== undefined) {
+        return validateCondition(expression.not, `${path}.not`, depth + 1);
+    }
+
+    if (expression.sun !== undefined) {
+        if (!['up', 'down'].includes(expression.sun)) {
+            return `${path}.sun must be "up" or "down"`;
+        }
+        if (expression.offsetMinutes !== undefined && typeof expression.offsetMinutes !== 'number') {
+            return `${path}.offsetMinutes must be a number`;
+        }
+        const latitude = expression.latitude !== undefined ? expression.latitude : HOME_LATITUDE;
+        const longitude = expression.longitude !== undefined ? expression.longitude : HOME_LONGITUDE;
+        if (!hasLocation(latitude, longitude)) {
+            return `${path} needs latitude and longitude (or HOME_LATITUDE / HOME_LONGITUDE on the service)`;
+        }
+        return null;
+    }
+
+    if (expression.deviceId !== undefined && !Number.isInteger(Number(expression.deviceId))) {
+        return `${path}.deviceId must be a device id`;
+    }
+
+    if (typeof expression.field !== 'string' || expression.field.length === 0) {
+        return `${path}.field is required`;
+    }
+
+    if (!OPERATORS.includes(expression.op)) {
+        return `${path}.op must be one of: ${OPERATORS.join(', ')}`;
+    }
+
+    if (VALUE_OPERATORS.includes(expression.op) && expression.value === undefined) {
+        return `${path}.value is required for ${expression.op}`;
+    }
+
+    if (NUMERIC_OPERATORS.includes(expression.op) && typeof expression.value !== 'number') {
+        return `${path}.value must be a number for ${expression.op}`;
+    }
+
+    if (expression.op === 'between' &&
+        !(Array.isArray(expression.value) && expression.value.length === 2 &&
+            expression.value.every(bound => typeof bound === 'number') && expression.value[0] <= expression.value[1])) {
+        return `${path}.value must be [min, max] for between`;
+    }
+
+    if (expression.op === 'in' && !Array.isArray(expression.value)) {
+        return `${path}.value must be an array for in`;
+    }
+
+    return null;
+}
+
+// Ids of every device an expression reads, other than through the triggering state
+function collectDeviceIds(expression, ids = new Set()) {
+    if (!expression || typeof expression !== 'object') return ids;
+
+    if (Array.isArray(expression.all)) expression.all.forEach(child => collectDeviceIds(child, ids));
+    else if (Array.isArray(expression.any)) expression.any.forEach(child => collectDeviceIds(child, ids));
+    else if (expression.not !== undefined) collectDeviceIds(expression.not, ids);
+    else if (expression.deviceId !== undefined) ids.add(Number(expression.deviceId));
+
+    return ids;
+}
+
+// Every comparison leaf of an expression with its path, for checks that need more than its shape
+function collectLeaves(expression, path = 'when', leaves = []) {
+    if (!expression || typeof expression !== 'object') return leaves;
+
+    if (Array.isArray(expression.all)) expression.all.forEach((child, i) => collectLeaves(child, `${path}.all[${i}]`, leaves));
+    else if (Array.isArray(expression.any)) expression.any.forEach((child, i) => collectLeaves(child, `${path}.any[${i}]`, leaves));
+    else if (expression.not !== undefined) collectLeaves(expression.not, `${path}.not`, leaves);
+    else if (expression.sun === undefined) leaves.push({ leaf: expression, path });
+
+    return leaves;
+}
+
+// Combine legacy `{ key: value }` equality pairs and an optional `when` expression into one expression
+function toExpression(conditions, reservedKeys = RESERVED_KEYS) {
+    const clauses = [];
+
+    for (const key in conditions || {}) {
+        if (!reservedKeys.includes(key)) {
+            clauses.push({ field: key, op: 'eq', value: conditions[key] });
+        }
+    }
+
+    if (conditions && conditions.when) {
+        clauses.push(conditions.when);
+    }
+
+    return { all: clauses };
+}
+
+module.exports = {
+    NUMERIC_OPERATORS,
+    OPERATORS,
+    RESERVED_KEYS,
+    collectDeviceIds,
+    collectLeaves,
+    evaluateCondition,
+    getField,
+    toExpression,
+    validateCondition
+};
@@ -0,0 +1,122 @@
+// Static analysis of a user's automation rules.
+//
+// Rules form a dependency graph: an edge A -> B means one of A's actions
+// changes a device whose state changes trigger B. A cycle in that graph can
+// ping-pong forever, since device-service republishes every applied state
+// change to device-events. Conflicts are pairs of enabled rules that set the
+// same state field of the same device to different values.
+//
+// The analysis is conservative: `when` expressions are assumed satisfiable and
+// only plain { key: value } trigger conditions can rule an edge out. The
+// runtime cascade depth guard in index.js catches whatever slips through.
+
+const { RESERVED_KEYS } = require('./conditions');
+const { isTriggerDevice } = require('./triggers');
+
+function isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function ruleId(rule) {
+    return String(rule._id);
+}
+
+// True when applying the action could fire the rule's device trigger
+function canTrigger(action, rule) {
+    const trigger = rule.trigger || {};
+    const conditions = trigger.conditions || {};
+
+    if (trigger.type !== 'device' || !action || !isTriggerDevice(conditions.deviceId, action.deviceId)) {
+        return false;
+    }
+
+    // A rule that requires { on: true } is not fired by an action that sets { on: false }
+    const state = action.state || {};
+    for (const key in conditions) {
+        if (!RESERVED_KEYS.includes(key) && key in state && !isEqual(state[key], conditions[key])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Map of rule id -> ids of the enabled rules its actions can trigger
+function buildDependencyGraph(rules) {
+    const enabled = rules.filter(rule => rule.enabled !== false);
+    const graph = new Map();
+
+    for (const rule of enabled) {
+        const targets = enabled
+            .filter(other => (rule.actions || []).some(action => canTrigger(action, other)))
+            .map(ruleId);
+        graph.set(ruleId(rule), targets);
+    }
+
+    return graph;
+}
+
+// Rules on a cycle through the given rule, in firing order starting with it, or null
+function findCycle(rules, startId) {
+    const graph = buildDependencyGraph(rules);
+    const start = String(startId);
+    if (!graph.has(start)) return null;
+
+    const byId = new Map(rules.map(rule => [ruleId(rule), rule]));
+    const visited = new Set();
+
+    function visit(id, path) {
+        for (const next of graph.get(id) || []) {
+            if (next === start) return path;
+            if (visited.has(next)) continue;
+
+            visited.add(next);
+            const found = visit(next, [...path, next]);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    const cycle = visit(start, [start]);
+    return cycle ? cycle.map(id => byId.get(id)) : null;
+}
+
+// Fields the rule sets to a different value than another enabled rule on the same device
+function findConflicts(rule, rules) {
+    const conflicts = [];
+    if (rule.enabled === false) return conflicts;
+
+    for (const other of rules) {
+        if (ruleId(other) === ruleId(rule) || other.enabled === false) continue;
+
+        for (const action of rule.actions || []) {
+            for (const otherAction of other.actions || []) {
+                if (String(action.deviceId) !== String(otherAction.deviceId)) continue;
+
+                const state = action.state || {};
+                const otherState = otherAction.state || {};
+                for (const field in state) {
+                    if (field in otherState && !isEqual(state[field], otherState[field])) {
+                        conflicts.push({
+                            deviceId: action.deviceId,
+                            field,
+                            value: state[field],
+                            automationId: other._id,
+                            automationName: other.name,
+                            otherValue: otherState[field]
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    buildDependencyGraph,
+    canTrigger,
+    findConflicts,
+    findCycle
+};
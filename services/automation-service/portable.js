@@ -0,0 +1,266 @@
+// Portable export format for automations, schedules and scenes.
+//
+// Numeric device ids only mean something inside one installation, so the
+// export refers to devices by name (and room, when set) instead:
+//
+//   {
+//     "format": "smart-home-platform/automations",
+//     "version": 1,
+//     "automations": [{ "name", "description", "enabled", "mode", "trigger", "actions" }],
+//     "schedules": [{ "name", "device", "schedule", "timezone", "action", "enabled" }],
+//     "scenes": [{ "name", "description", "icon", "targets": [{ "device", "state" }] }]
+//   }
+//
+// Every `deviceId` becomes `device: { name, room }`: in trigger conditions
+// (a list of ids becomes a list of refs), in `when` and waitUntil condition
+// leaves, in command actions, schedules and scene targets. A device that no
+// longer exists is exported as { id } and only imports where that id exists.
+
+const EXPORT_FORMAT = 'smart-home-platform/automations';
+const EXPORT_VERSION = 1;
+
+function normalize(text) {
+    return String(text || '').trim().toLowerCase();
+}
+
+// Looks devices up by id for export and by { name, room } for import
+function createDeviceIndex(devices) {
+    const byId = new Map(devices.map(device => [String(device.id), device]));
+
+    return {
+        toRef(deviceId) {
+            const device = byId.get(String(deviceId));
+            if (!device) return { id: Number(deviceId) };
+            return device.room ? { name: device.name, room: device.room } : { name: device.name };
+        },
+
+        // Returns { deviceId } or { error }
+        resolve(ref) {
+            if (!ref || typeof ref !== 'object') {
+                return { error: 'device must be an object with a name' };
+            }
+
+            if (ref.id !== undefined && ref.name === undefined) {
+                return byId.has(String(ref.id))
+                    ? { deviceId: Number(ref.id) }
+                    : { error: `No device with id ${ref.id}` };
+            }
+
+            const matches = devices.filter(device =>
+                normalize(device.name) === normalize(ref.name) &&
+                (ref.room === undefined || normalize(device.room) === normalize(ref.room))
+            );
+            const label = ref.room !== undefined ? `"${ref.name}" in "${ref.room}"` : `"${ref.name}"`;
+
+            if (matches.length === 0) return { error: `No device named ${label}` };
+            if (matches.length > 1) return { error: `Device name ${label} is ambiguous, add a room` };
+            return { deviceId: matches[0].id };
+        }
+    };
+}
+
+// Copy a condition expression, swapping deviceId <-> device on every leaf
+function mapCondition(expression, mapLeaf) {
+    if (!expression || typeof expression !== 'object') return expression;
+
+    if (Array.isArray(expression.all)) return { ...expression, all: expression.all.map(child => mapCondition(child, mapLeaf)) };
+    if (Array.isArray(expression.any)) return { ...expression, any: expression.any.map(child => mapCondition(child, mapLeaf)) };
+    if (expression.not !== undefined) return { ...expression, not: mapCondition(expression.not, mapLeaf) };
+
+    return mapLeaf(expression);
+}
+
+function plain(doc) {
+    return doc && doc.toObject ? doc.toObject() : doc;
+}
+
+function exportDeviceLeaf(index) {
+    return (leaf) => {
+        if (leaf.deviceId === undefined) return leaf;
+        const { deviceId, ...rest } = leaf;
+        return { device: index.toRef(deviceId), ...rest };
+    };
+}
+
+function exportAutomation(automation, index) {
+    const { trigger, actions } = plain(automation);
+    const conditions = { ...(trigger.conditions || {}) };
+
+    if (conditions.deviceId !== undefined) {
+        conditions.device = Array.isArray(conditions.deviceId)
+            ? conditions.deviceId.map(id => index.toRef(id))
+            : index.toRef(conditions.deviceId);
+        delete conditions.deviceId;
+    }
+    if (conditions.when) {
+        conditions.when = mapCondition(conditions.when, exportDeviceLeaf(index));
+    }
+
+    return {
+        name: automation.name,
+        description: automation.description || '',
+        enabled: automation.enabled,
+        mode: automation.mode,
+        trigger: { type: trigger.type, conditions },
+        actions: actions.map(({ _id, ...action }) => {
+            if (action.condition) {
+                return { ...action, condition: mapCondition(action.condition, exportDeviceLeaf(index)) };
+            }
+            return exportDeviceLeaf(index)(action);
+        })
+    };
+}
+
+function exportSchedule(doc, index) {
+    const schedule = plain(doc);
+    return {
+        name: schedule.name,
+        device: index.toRef(schedule.deviceId),
+        schedule: { days: schedule.schedule.days, time: schedule.schedule.time },
+        timezone: schedule.timezone,
+        action: schedule.action,
+        enabled: schedule.enabled
+    };
+}
+
+function exportScene(doc, index) {
+    const scene = plain(doc);
+    return {
+        name: scene.name,
+        description: scene.description || '',
+        icon: scene.icon,
+        targets: scene.targets.map(target => ({ device: index.toRef(target.deviceId), state: target.state }))
+    };
+}
+
+function createExport({ automations, schedules, scenes }, devices) {
+    const index = createDeviceIndex(devices);
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        automations: automations.map(automation => exportAutomation(automation, index)),
+        schedules: schedules.map(schedule => exportSchedule(schedule, index)),
+        scenes: scenes.map(scene => exportScene(scene, index))
+    };
+}
+
+// The import counterparts return { value, errors }; value uses the ids of this installation
+
+function importDeviceLeaf(index, path, errors) {
+    return (leaf) => {
+        if (leaf.device === undefined) return leaf;
+        const { device, ...rest } = leaf;
+        const resolved = index.resolve(device);
+        if (resolved.error) errors.push(`${path}: ${resolved.error}`);
+        return { ...rest, deviceId: resolved.deviceId };
+    };
+}
+
+function importAutomation(item, index) {
+    const errors = [];
+    const trigger = item.trigger || {};
+    const conditions = { ...(trigger.conditions || {}) };
+
+    if (conditions.device !== undefined) {
+        const refs = Array.isArray(conditions.device) ? conditions.device : [conditions.device];
+        const ids = refs.map(ref => {
+            const resolved = index.resolve(ref);
+            if (resolved.error) errors.push(`trigger.conditions.device: ${resolved.error}`);
+            return resolved.deviceId;
+        });
+        conditions.deviceId = Array.isArray(conditions.device) ? ids : ids[0];
+        delete conditions.device;
+    }
+    if (conditions.when) {
+        conditions.when = mapCondition(conditions.when, importDeviceLeaf(index, 'trigger.conditions.when', errors));
+    }
+
+    const actions = Array.isArray(item.actions)
+        ? item.actions.map((action, i) => {
+            if (action && action.condition) {
+                return { ...action, condition: mapCondition(action.condition, importDeviceLeaf(index, `actions[${i}].condition`, errors)) };
+            }
+            return action && typeof action === 'object' ? importDeviceLeaf(index, `actions[${i}]`, errors)(action) : action;
+        })
+        : item.actions;
+
+    return {
+        value: {
+            name: item.name,
+            description: item.description || '',
+            enabled: item.enabled !== false,
+            mode: item.mode,
+            trigger: { type: trigger.type, conditions },
+            actions
+        },
+        errors
+    };
+}
+
+function importSchedule(item, index) {
+    const errors = [];
+    const resolved = index.resolve(item.device);
+    if (resolved.error) errors.push(`device: ${resolved.error}`);
+
+    return {
+        value: {
+            name: item.name,
+            deviceId: resolved.deviceId,
+            schedule: item.schedule,
+            timezone: item.timezone,
+            action: item.action,
+            enabled: item.enabled !== false
+        },
+        errors
+    };
+}
+
+function importScene(item, index) {
+    const errors = [];
+    const targets = Array.isArray(item.targets)
+        ? item.targets.map((target, i) => {
+            const resolved = index.resolve(target && target.device);
+            if (resolved.error) errors.push(`targets[${i}].device: ${resolved.error}`);
+            return { deviceId: resolved.deviceId, state: target && target.state };
+        })
+        : item.targets;
+
+    return {
+        value: {
+            name: item.name,
+            description: item.description || '',
+            icon: item.icon,
+            targets
+        },
+        errors
+    };
+}
+
+// Returns an error message, or null when the document looks like one of our exports
+function validateExportDocument(document) {
+    if (!document || typeof document !== 'object' || document.format !== EXPORT_FORMAT) {
+        return `Expected a document with format "${EXPORT_FORMAT}"`;
+    }
+    if (document.version !== EXPORT_VERSION) {
+        return `Unsupported export version ${document.version} (expected ${EXPORT_VERSION})`;
+    }
+    for (const key of ['automations', 'schedules', 'scenes']) {
+        if (document[key] !== undefined && !Array.isArray(document[key])) {
+            return `${key} must be an array`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    createDeviceIndex,
+    createExport,
+    importAutomation,
+    importSchedule,
+    importScene,
+    validateExportDocument
+};
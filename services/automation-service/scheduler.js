@@ -0,0 +1,341 @@
+// Schedule execution for automation-service.
+//
+// Every replica runs the same polling loop over schedules and time-triggered
+// automations. A due document is claimed with a conditional update on its
+// `nextRun` value, so only the replica whose update matches actually fires it.
+// That keeps runs at-most-once across restarts and multiple instances without
+// a separate lock document: `nextRun` moves on before the command is sent, so a
+// crash or a failed send after the claim drops that run rather than repeating it.
+
+const DAY_INDEX = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const ALL_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '15000', 10);
+// Runs that are overdue by more than this (e.g. the service was down) are recorded as missed instead of fired late
+const MISFIRE_GRACE_MS = parseInt(process.env.SCHEDULER_MISFIRE_GRACE_MS || '300000', 10);
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant as seen in the given timezone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getTimezoneOffset(timestamp, timeZone) {
+    const p = getZonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Convert a wall-clock time in the timezone to a UTC Date
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimezoneOffset(guess, timeZone);
+    let result = guess - offset;
+
+    // Second pass corrects for a DST transition between the guess and the result
+    const correctedOffset = getTimezoneOffset(result, timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+}
+
+function parseDays(days) {
+    const indexes = new Set();
+    for (const day of days || []) {
+        const index = DAY_INDEX[String(day).trim().toLowerCase()];
+        if (index !== undefined) {
+            indexes.add(index);
+        }
+    }
+    return indexes;
+}
+
+// Returns an error message, or null when the schedule definition is valid
+function validateSchedule(schedule, timezone) {
+    if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0 || !schedule.time) {
+        return 'Schedule must include days and time';
+    }
+
+    const unknownDays = schedule.days.filter(day => DAY_INDEX[String(day).trim().toLowerCase()] === undefined);
+    if (unknownDays.length > 0) {
+        return `Invalid schedule days: ${unknownDays.join(', ')}`;
+    }
+
+    if (!TIME_REGEX.test(schedule.time)) {
+        return 'Schedule time must be in HH:mm format';
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return 'Invalid timezone';
+    }
+
+    return null;
+}
+
+// Next instant strictly after `after` at which the schedule should fire, or null
+function computeNextRun(schedule, after = new Date()) {
+    const definition = schedule.schedule || {};
+    const match = TIME_REGEX.exec(definition.time || '');
+    const days = parseDays(definition.days);
+
+    if (!match || days.size === 0) {
+        return null;
+    }
+
+    const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    const today = getZonedParts(after, timeZone);
+
+    // Look one full week ahead plus today, so a time already passed today wraps to next week
+    for (let offset = 0; offset <= 7; offset++) {
+        const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (!days.has(calendarDay.getUTCDay())) {
+            continue;
+        }
+
+        const candidate = zonedTimeToUtc(
+            calendarDay.getUTCFullYear(),
+            calendarDay.getUTCMonth() + 1,
+            calendarDay.getUTCDate(),
+            hour,
+            minute,
+            timeZone
+        );
+
+        if (candidate > after) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+// Time triggers store { time, days?, timezone? } in trigger.conditions; days default to every day
+function getTriggerSchedule(trigger) {
+    const conditions = (trigger && trigger.conditions) || {};
+    return {
+        schedule: {
+            days: conditions.days && conditions.days.length > 0 ? conditions.days : ALL_DAYS,
+            time: conditions.time
+        },
+        timezone: conditions.timezone
+    };
+}
+
+function getScheduleCommand(schedule) {
+    const action = schedule.action || {};
+    return {
+        deviceId: schedule.deviceId,
+        state: action.state !== undefined ? action.state : action,
+        scheduleId: schedule._id,
+        userId: schedule.userId,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function createScheduler({ Schedule, ScheduleRun, Automation, isReady, sendCommand, runAutomation }) {
+    let timer = null;
+    let running = false;
+
+    // Documents created before the scheduler existed (or imported directly) have no nextRun yet
+    async function initializeMissingRuns(now) {
+        const pending = await Schedule.find({ enabled: true, nextRun: null });
+
+        for (const schedule of pending) {
+            await Schedule.updateOne(
+                { _id: schedule._id, nextRun: null },
+                { $set: { nextRun: computeNextRun(schedule, now) } }
+            );
+        }
+
+        const pendingAutomations = await Automation.find({ enabled: true, 'trigger.type': 'time', nextRun: null });
+
+        for (const automation of pendingAutomations) {
+            await Automation.updateOne(
+                { _id: automation._id, nextRun: null },
+                { $set: { nextRun: computeNextRun(getTriggerSchedule(automation.trigger), now) } }
+            );
+        }
+    }
+
+    async function runSchedule(schedule, now) {
+        const scheduledFor = schedule.nextRun;
+        const nextRun = computeNextRun(schedule, now);
+
+        // Claim this run; another replica that got here first will have moved nextRun already
+        const claimed = await Schedule.findOneAndUpdate(
+            { _id: schedule._id, enabled: true, nextRun: scheduledFor },
+            { $set: { nextRun } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return;
+        }
+
+        const run = {
+            scheduleId: schedule._id,
+            userId: schedule.userId,
+            scheduledFor,
+            firedAt: now
+        };
+
+        if (now - scheduledFor > MISFIRE_GRACE_MS) {
+            console.log(`Schedule ${schedule._id} missed its run at ${scheduledFor.toISOString()}`);
+            await ScheduleRun.create({ ...run, status: 'missed' });
+            return;
+        }
+
+        const command = getScheduleCommand(schedule);
+
+        try {
+            sendCommand(command);
+            await Schedule.updateOne({ _id: schedule._id }, { $set: { lastRun: now } });
+            await ScheduleRun.create({ ...run, status: 'dispatched', command });
+            console.log(`Schedule ${schedule._id} dispatched command to device ${schedule.deviceId}`);
+        } catch (error) {
+            console.error(`Schedule ${schedule._id} failed to dispatch:`, error);
+            await ScheduleRun.create({ ...run, status: 'failed', command, error: error.message });
+        }
+    }
+
+    async function runTimeTrigger(automation, now) {
+        const scheduledFor = automation.nextRun;
+        const nextRun = computeNextRun(getTriggerSchedule(automation.trigger), now);
+
+        const claimed = await Automation.findOneAndUpdate(
+            { _id: automation._id, enabled: true, nextRun: scheduledFor },
+            { $set: { nextRun } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return;
+        }
+
+        if (now - scheduledFor > MISFIRE_GRACE_MS) {
+            console.log(`Automation ${automation._id} missed its time trigger at ${scheduledFor.toISOString()}`);
+            return;
+        }
+
+        await runAutomation(claimed, {
+            type: 'time.trigger',
+            userId: automation.userId,
+            scheduledFor: scheduledFor.toISOString(),
+            timestamp: now.toISOString()
+        });
+    }
+
+    async function tick() {
+        if (running || !isReady()) {
+            return;
+        }
+
+        running = true;
+        try {
+            const now = new Date();
+            await initializeMissingRuns(now);
+
+            const due = await Schedule.find({ enabled: true, nextRun: { $lte: now } });
+            for (const schedule of due) {
+                try {
+                    await runSchedule(schedule, now);
+                } catch (error) {
+                    console.error(`Error running schedule ${schedule._id}:`, error);
+                }
+            }
+
+            const dueAutomations = await Automation.find({
+                enabled: true,
+                'trigger.type': 'time',
+                nextRun: { $lte: now }
+            });
+            for (const automation of dueAutomations) {
+                try {
+                    await runTimeTrigger(automation, now);
+                } catch (error) {
+                    console.error(`Error running time trigger for automation ${automation._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Scheduler tick error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        start() {
+            if (!timer) {
+                timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+                console.log(`Scheduler started (interval ${SCHEDULER_INTERVAL_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    ALL_DAYS,
+    DEFAULT_TIMEZONE,
+    TIME_REGEX,
+    computeNextRun,
+    createScheduler,
+    getScheduleCommand,
+    getTriggerSchedule,
+    getZonedParts,
+    isValidTimezone,
+    validateSchedule
+};
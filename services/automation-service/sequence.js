@@ -0,0 +1,302 @@
+// Sequenced automation actions.
+//
+// `actions` may mix device commands with timing steps:
+//   { deviceId, state }                                    send a device.command
+//   { type: 'delay', seconds: 300 }                        pause
+//   { type: 'waitUntil', condition, timeoutSeconds: 120,   pause until the condition holds,
+//     onTimeout: 'continue' | 'stop' }                     or the timeout passes
+//
+// A waitUntil condition uses the expression language from conditions.js; leaves
+// without a deviceId read the device that triggered the automation.
+// Consecutive commands are sent together. While a sequence is paused its
+// execution is stored with status 'waiting' and sequence.resumeAt, so any
+// replica picks it up again, including after a restart. A due execution is
+// claimed by moving resumeAt forward, the same way the scheduler claims runs.
+//
+// automation.mode decides what a new trigger does to a sequence still waiting:
+//   parallel (default) - run alongside it
+//   restart            - cancel it and start over ("cancel if triggered again")
+//   single             - ignore the new trigger
+
+const { evaluateCondition, validateCondition } = require('./conditions');
+
+const MODES = ['parallel', 'restart', 'single'];
+const ON_TIMEOUT = ['continue', 'stop'];
+
+const SEQUENCE_INTERVAL_MS = parseInt(process.env.SEQUENCE_INTERVAL_MS || '5000', 10);
+// A claimed execution is picked up again after this long if the replica running it dies
+const CLAIM_LEASE_MS = 60000;
+const MAX_STEP_SECONDS = 7 * 24 * 60 * 60;
+
+function isCommandStep(action) {
+    return !action.type || action.type === 'command';
+}
+
+function hasTimingSteps(actions) {
+    return (actions || []).some(action => !isCommandStep(action));
+}
+
+function getExecutionStatus(commands) {
+    if (commands.some(command => command.status === 'pending')) return 'pending';
+    if (commands.every(command => command.status === 'applied')) return 'completed';
+    if (commands.some(command => command.status === 'applied')) return 'partial';
+    return 'failed';
+}
+
+function isDuration(seconds) {
+    return typeof seconds === 'number' && seconds > 0 && seconds <= MAX_STEP_SECONDS;
+}
+
+// Returns an error message, or null when every step is a valid command or timing step
+function validateActions(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+        return 'At least one action is required';
+    }
+
+    for (let i = 0; i < actions.length; i++) {
+        const action = actions[i];
+        const path = `actions[${i}]`;
+
+        if (!action || typeof action !== 'object') {
+            return `${path} must be an object`;
+        }
+
+        if (isCommandStep(action)) {
+            if (!Number.isInteger(Number(action.deviceId))) {
+                return `${path}.deviceId is required`;
+            }
+            if (!action.state || typeof action.state !== 'object' || Array.isArray(action.state)) {
+                return `${path}.state must be an object`;
+            }
+        } else if (action.type === 'delay') {
+            if (!isDuration(action.seconds)) {
+                return `${path}.seconds must be a number greater than 0 and at most ${MAX_STEP_SECONDS}`;
+            }
+        } else if (action.type === 'waitUntil') {
+            const conditionError = validateCondition(action.condition, `${path}.condition`);
+            if (conditionError) return conditionError;
+
+            if (!isDuration(action.timeoutSeconds)) {
+                return `${path}.timeoutSeconds must be a number greater than 0 and at most ${MAX_STEP_SECONDS}`;
+            }
+            if (action.onTimeout !== undefined && !ON_TIMEOUT.includes(action.onTimeout)) {
+                return `${path}.onTimeout must be one of: ${ON_TIMEOUT.join(', ')}`;
+            }
+        } else {
+            return `${path}.type must be command, delay or waitUntil`;
+        }
+    }
+
+    if (!actions.some(isCommandStep)) {
+        return 'At least one action must send a device command';
+    }
+
+    return null;
+}
+
+function createSequencer({ AutomationExecution, isReady, dispatch, fetchDeviceStates }) {
+    let timer = null;
+    let running = false;
+
+    async function isConditionMet(action, execution, now) {
+        const devices = await fetchDeviceStates(execution.userId);
+        const deviceId = execution.trigger && execution.trigger.deviceId;
+
+        return evaluateCondition(action.condition, {
+            current: deviceId !== undefined ? devices[deviceId] : {},
+            deviceId,
+            devices,
+            now
+        }).passed;
+    }
+
+    // Every update below only matches a waiting execution, so a cancel always wins
+    async function pause(execution, step, resumeAt, deadline = null) {
+        await AutomationExecution.updateOne(
+            { _id: execution._id, status: 'waiting' },
+            { $set: { 'sequence.step': step, 'sequence.resumeAt': resumeAt, 'sequence.deadline': deadline } }
+        );
+        return execution;
+    }
+
+    async function finish(execution, error) {
+        const current = await AutomationExecution.findOneAndUpdate(
+            { _id: execution._id, status: 'waiting' },
+            { $set: { status: 'pending', 'sequence.resumeAt': null, 'sequence.deadline': null, error } },
+            { new: true }
+        );
+
+        if (!current) return execution;
+
+        // From here on device.status outcomes update the status like any other execution
+        const status = error && current.commands.length === 0 ? 'failed' : getExecutionStatus(current.commands);
+        await AutomationExecution.updateOne(
+            { _id: current._id, status: 'pending' },
+            { $set: { status, completedAt: status === 'pending' ? null : new Date() } }
+        );
+        return current;
+    }
+
+    // Re-check a waitUntil step; returns the step to continue from, or null once paused or finished
+    async function checkWait(execution, step, now) {
+        const action = execution.sequence.actions[step];
+        const deadline = execution.sequence.deadline || new Date(now.getTime() + action.timeoutSeconds * 1000);
+
+        if (await isConditionMet(action, execution, now)) {
+            return step + 1;
+        }
+
+        if (now >= deadline) {
+            if (action.onTimeout === 'stop') {
+                await finish(execution, `Timed out after ${action.timeoutSeconds}s waiting at step ${step + 1}`);
+                return null;
+            }
+            return step + 1;
+        }
+
+        const nextCheck = new Date(Math.min(now.getTime() + SEQUENCE_INTERVAL_MS, deadline.getTime()));
+        await pause(execution, step, nextCheck, deadline);
+        return null;
+    }
+
+    // Run the sequence from sequence.step until it pauses or ends. When `resumed`, a timing
+    // step at sequence.step was already armed; a command step there was interrupted and is re-sent.
+    async function advance(execution, now = new Date(), resumed = false) {
+        const actions = execution.sequence.actions;
+        let step = execution.sequence.step;
+
+        if (resumed && !isCommandStep(actions[step])) {
+            if (actions[step].type === 'waitUntil') {
+                step = await checkWait(execution, step, now);
+                if (step === null) return execution;
+            } else {
+                step++;
+            }
+        }
+
+        while (step < actions.length) {
+            const action = actions[step];
+
+            if (action.type === 'delay') {
+                return pause(execution, step, new Date(now.getTime() + action.seconds * 1000));
+            }
+
+            if (action.type === 'waitUntil') {
+                execution.sequence.deadline = null;
+                step = await checkWait(execution, step, now);
+                if (step === null) return execution;
+                continue;
+            }
+
+            // A run cancelled meanwhile sends nothing more
+            if (!await AutomationExecution.exists({ _id: execution._id, status: 'waiting' })) {
+                return execution;
+            }
+
+            const batch = [];
+            while (step < actions.length && isCommandStep(actions[step])) {
+                batch.push(actions[step++]);
+            }
+
+            const commands = dispatch(execution, batch);
+            execution.commands.push(...commands);
+            const result = await AutomationExecution.updateOne(
+                { _id: execution._id, status: 'waiting' },
+                { $push: { commands: { $each: commands } }, $set: { 'sequence.step': step } }
+            );
+            if (result.matchedCount === 0) {
+                return execution;
+            }
+        }
+
+        return finish(execution);
+    }
+
+    // Start the sequence of a new, unsaved execution. resumeAt holds a lease until the
+    // first pause, so a crash part-way through is picked up again by the next tick.
+    async function begin(execution, actions, now = new Date()) {
+        execution.status = 'waiting';
+        execution.sequence = { step: 0, actions, resumeAt: new Date(now.getTime() + CLAIM_LEASE_MS) };
+        await execution.save();
+
+        return advance(execution, now);
+    }
+
+    async function resume(execution, now) {
+        const claimed = await AutomationExecution.findOneAndUpdate(
+            { _id: execution._id, status: 'waiting', 'sequence.resumeAt': execution.sequence.resumeAt },
+            { $set: { 'sequence.resumeAt': new Date(now.getTime() + CLAIM_LEASE_MS) } },
+            { new: true }
+        );
+
+        if (claimed) {
+            await advance(claimed, now, true);
+        }
+    }
+
+    // Cancel waiting sequences matching the filter; returns how many were cancelled
+    async function cancel(filter, reason) {
+        const result = await AutomationExecution.updateMany(
+            { ...filter, status: 'waiting' },
+            {
+                $set: {
+                    status: 'cancelled',
+                    error: reason,
+                    completedAt: new Date(),
+                    'sequence.resumeAt': null,
+                    'sequence.deadline': null
+                }
+            }
+        );
+        return result.modifiedCount;
+    }
+
+    async function tick() {
+        if (running || !isReady()) {
+            return;
+        }
+
+        running = true;
+        try {
+            const now = new Date();
+            const due = await AutomationExecution.find({ status: 'waiting', 'sequence.resumeAt': { $lte: now } });
+
+            for (const execution of due) {
+                try {
+                    await resume(execution, now);
+                } catch (error) {
+                    console.error(`Error resuming execution ${execution._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Sequence tick error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        begin,
+        cancel,
+        start() {
+            if (!timer) {
+                timer = setInterval(tick, SEQUENCE_INTERVAL_MS);
+                console.log(`Sequence executor started (interval ${SEQUENCE_INTERVAL_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    MODES,
+    createSequencer,
+    getExecutionStatus,
+    hasTimingSteps,
+    isCommandStep,
+    validateActions
+};
@@ -0,0 +1,86 @@
+// Sunrise / sunset times for `sun` conditions.
+//
+// Based on the NOAA-derived formulas popularised by suncalc; accurate to a
+// minute or two, which is plenty for "after sunset" style rules.
+
+const rad = Math.PI / 180;
+const dayMs = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const obliquity = rad * 23.4397;
+// Sun centre 0.833 degrees below the horizon (refraction + disc radius)
+const horizon = -0.833 * rad;
+
+const HOME_LATITUDE = process.env.HOME_LATITUDE !== undefined ? parseFloat(process.env.HOME_LATITUDE) : null;
+const HOME_LONGITUDE = process.env.HOME_LONGITUDE !== undefined ? parseFloat(process.env.HOME_LONGITUDE) : null;
+
+function toDays(date) {
+    return date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+    return new Date((j + 0.5 - J1970) * dayMs);
+}
+
+function solarMeanAnomaly(d) {
+    return rad * (357.5291 + 0.98560028 * d);
+}
+
+function eclipticLongitude(M) {
+    const center = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const perihelion = rad * 102.9372;
+    return M + center + perihelion + Math.PI;
+}
+
+function approxTransit(hourAngle, lw, n) {
+    return J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+}
+
+function solarTransitJ(ds, M, L) {
+    return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+// Sunrise and sunset around the given instant; `polar` is 'day' or 'night' when the sun never crosses the horizon
+function getSunTimes(date, latitude, longitude) {
+    const lw = rad * -longitude;
+    const phi = rad * latitude;
+
+    const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+    const ds = approxTransit(0, lw, n);
+    const M = solarMeanAnomaly(ds);
+    const L = eclipticLongitude(M);
+    const dec = Math.asin(Math.sin(obliquity) * Math.sin(L));
+    const noon = solarTransitJ(ds, M, L);
+
+    const cosHourAngle = (Math.sin(horizon) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosHourAngle < -1) return { polar: 'day' };
+    if (cosHourAngle > 1) return { polar: 'night' };
+
+    const set = solarTransitJ(approxTransit(Math.acos(cosHourAngle), lw, n), M, L);
+    const rise = noon - (set - noon);
+
+    return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+}
+
+function hasLocation(latitude, longitude) {
+    return typeof latitude === 'number' && !isNaN(latitude) && typeof longitude === 'number' && !isNaN(longitude);
+}
+
+// True while the sun is up. A positive offset shortens the day at both ends
+// (e.g. 30 = "down" starts 30 minutes before sunset and lasts until 30 minutes after sunrise).
+function isSunUp(date, latitude = HOME_LATITUDE, longitude = HOME_LONGITUDE, offsetMinutes = 0) {
+    const times = getSunTimes(date, latitude, longitude);
+    if (times.polar) return times.polar === 'day';
+
+    const offset = offsetMinutes * 60000;
+    return date >= times.sunrise.getTime() + offset && date < times.sunset.getTime() - offset;
+}
+
+module.exports = {
+    HOME_LATITUDE,
+    HOME_LONGITUDE,
+    getSunTimes,
+    hasLocation,
+    isSunUp
+};
@@ -0,0 +1,283 @@
+// Trigger evaluation for automation-service.
+//
+// Matches device state changes, sensor-data events and the current time of
+// day against an automation's trigger.conditions. Every trigger type accepts a
+// `when` expression (see conditions.js). The Kafka consumer, the scheduler and
+// the simulate endpoint all go through evaluateTrigger.
+
+const { ALL_DAYS, DEFAULT_TIMEZONE, TIME_REGEX, getZonedParts, validateSchedule, isValidTimezone } = require('./scheduler');
+const { getFieldSchema, isDeviceType, validateValue } = require('@smart-home/device-types');
+const { NUMERIC_OPERATORS, RESERVED_KEYS, collectLeaves, evaluateCondition, toExpression, validateCondition } = require('./conditions');
+
+// Condition keys with their own semantics; every other key is compared against the event field of the same name
+const SENSOR_KEYS = ['event', 'minConfidence', 'alertLevel', 'timeWindow', 'when'];
+
+// Loose equality so ids survive the trip through JSON (e.g. cameraId "3" vs 3)
+function sameValue(expected, actual) {
+    if (expected === actual) return true;
+    if (expected === null || actual === null || expected === undefined || actual === undefined) return false;
+    if (typeof expected === 'object' || typeof actual === 'object') return false;
+    return String(expected) === String(actual);
+}
+
+function toMinutes(time) {
+    const match = TIME_REGEX.exec(time || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// { start: 'HH:mm', end: 'HH:mm', days?, timezone? } - end before start wraps past midnight
+function isWithinTimeWindow(window, date = new Date()) {
+    if (!window) return true;
+
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start === null || end === null) return false;
+
+    const parts = getZonedParts(date, window.timezone || DEFAULT_TIMEZONE);
+    const now = parts.hour * 60 + parts.minute;
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+    const days = window.days && window.days.length > 0
+        ? window.days.map(day => String(day).trim().toLowerCase().slice(0, 3))
+        : ALL_DAYS;
+
+    if (start <= end) {
+        return days.includes(ALL_DAYS[weekday]) && now >= start && now < end;
+    }
+
+    // Overnight window: the part after midnight belongs to the day the window started on
+    if (now >= start) {
+        return days.includes(ALL_DAYS[weekday]);
+    }
+    return now < end && days.includes(ALL_DAYS[(weekday + 6) % 7]);
+}
+
+// Returns { passed, failed?, when? }: `failed` names the first condition that did not match,
+// `when` is the result tree of the condition expression. options.devices holds the current
+// state of other devices referenced by `when`.
+function evaluateSensorTrigger(conditions, event, { now = new Date(), devices = {} } = {}) {
+    if (!conditions || !event) return { passed: false };
+
+    if (conditions.event && conditions.event !== event.type) {
+        return { passed: false, failed: 'event' };
+    }
+
+    if (conditions.minConfidence !== undefined &&
+        !(typeof event.confidence === 'number' && event.confidence >= conditions.minConfidence)) {
+        return { passed: false, failed: 'minConfidence' };
+    }
+
+    if (conditions.alertLevel !== undefined) {
+        const levels = Array.isArray(conditions.alertLevel) ? conditions.alertLevel : [conditions.alertLevel];
+        if (!levels.includes(event.alertLevel)) {
+            return { passed: false, failed: 'alertLevel' };
+        }
+    }
+
+    for (const key in conditions) {
+        if (!SENSOR_KEYS.includes(key) && !sameValue(conditions[key], event[key])) {
+            return { passed: false, failed: key };
+        }
+    }
+
+    if (!isWithinTimeWindow(conditions.timeWindow, now)) {
+        return { passed: false, failed: 'timeWindow' };
+    }
+
+    if (conditions.when) {
+        const when = evaluateCondition(conditions.when, { current: event, devices, now });
+        return when.passed ? { passed: true, when } : { passed: false, failed: 'when', when };
+    }
+
+    return { passed: true };
+}
+
+function matchesSensorTrigger(conditions, event, options) {
+    return evaluateSensorTrigger(conditions, event, options).passed;
+}
+
+// conditions.deviceId may be a single id or a list of ids that all trigger the rule.
+// deviceId arrives as a string from the REST route but is stored as a number on the rule.
+function isTriggerDevice(triggerDeviceId, deviceId) {
+    const ids = Array.isArray(triggerDeviceId) ? triggerDeviceId : [triggerDeviceId];
+    return ids.some(id => sameValue(id, deviceId));
+}
+
+// Plain { key: value } pairs must equal the state; `when` holds a full condition expression
+// that may also reference other devices (context.devices) and the sun.
+function evaluateDeviceConditions(conditions, currentState, previousState, context = {}) {
+    if (!conditions || !currentState) return { passed: false };
+
+    return evaluateCondition(toExpression(conditions), {
+        ...context,
+        current: currentState,
+        previous: previousState
+    });
+}
+
+// Evaluate any trigger type against an event. Returns { passed, failed?, conditions? } where
+// `failed` names the first check that did not match and `conditions` is the result tree.
+function evaluateTrigger(trigger, event, { now = new Date(), devices = {} } = {}) {
+    const conditions = (trigger && trigger.conditions) || {};
+
+    switch (trigger && trigger.type) {
+        case 'device': {
+            if (!event || event.type !== 'device.state_changed') {
+                return { passed: false, failed: 'event' };
+            }
+            if (!isTriggerDevice(conditions.deviceId, event.deviceId)) {
+                return { passed: false, failed: 'deviceId' };
+            }
+            if (!isWithinTimeWindow(conditions.timeWindow, now)) {
+                return { passed: false, failed: 'timeWindow' };
+            }
+
+            const result = evaluateDeviceConditions(conditions, event.state, event.previousState, {
+                deviceId: event.deviceId,
+                devices,
+                now
+            });
+            return result.passed
+                ? { passed: true, conditions: result }
+                : { passed: false, failed: 'conditions', conditions: result };
+        }
+
+        case 'sensor': {
+            const result = evaluateSensorTrigger(conditions, event, { now, devices });
+            return { passed: result.passed, failed: result.failed, conditions: result.when };
+        }
+
+        case 'time': {
+            if (!conditions.when) {
+                return { passed: true };
+            }
+
+            const result = evaluateCondition(conditions.when, { current: {}, devices, now });
+            return result.passed
+                ? { passed: true, conditions: result }
+                : { passed: false, failed: 'when', conditions: result };
+        }
+
+        default:
+            return { passed: false, failed: 'type' };
+    }
+}
+
+function validateTimeWindow(window) {
+    if (!window || typeof window !== 'object' || Array.isArray(window) || toMinutes(window.start) === null || toMinutes(window.end) === null) {
+        return 'timeWindow must include start and end in HH:mm format';
+    }
+    if (window.timezone !== undefined && !isValidTimezone(window.timezone)) {
+        return 'Invalid timeWindow timezone';
+    }
+    return null;
+}
+
+// Returns an error message, or null when the trigger conditions are usable for its type
+function validateTrigger(trigger) {
+    const conditions = trigger.conditions || {};
+
+    if (trigger.type === 'time') {
+        if (!conditions.time) {
+            return 'Time triggers require conditions.time';
+        }
+        return validateSchedule(
+            { days: conditions.days && conditions.days.length > 0 ? conditions.days : ALL_DAYS, time: conditions.time },
+            conditions.timezone
+        );
+    }
+
+    if (trigger.type === 'sensor') {
+        if (conditions.minConfidence !== undefined &&
+            (typeof conditions.minConfidence !== 'number' || conditions.minConfidence < 0 || conditions.minConfidence > 1)) {
+            return 'minConfidence must be a number between 0 and 1';
+        }
+    }
+
+    if (conditions.when !== undefined) {
+        const conditionError = validateCondition(conditions.when, 'trigger.conditions.when');
+        if (conditionError) return conditionError;
+    }
+
+    if (conditions.timeWindow !== undefined) {
+        return validateTimeWindow(conditions.timeWindow);
+    }
+
+    return null;
+}
+
+// Leaves that compare device state, with their paths: the plain { key: value } pairs of
+// a device trigger, and the leaves of `when`. Leaves without a deviceId read the
+// triggering device in device triggers, and event or no state in other triggers.
+function deviceStateLeaves(trigger) {
+    const conditions = trigger.conditions || {};
+    const leaves = [];
+
+    if (trigger.type === 'device') {
+        for (const key in conditions) {
+            if (!RESERVED_KEYS.includes(key)) {
+                const path = `trigger.conditions.${key}`;
+                leaves.push({ leaf: { field: key, op: 'eq', value: conditions[key] }, path, valuePath: path });
+            }
+        }
+    }
+    collectLeaves(conditions.when, 'trigger.conditions.when', leaves);
+
+    return leaves.filter(({ leaf }) => leaf.deviceId !== undefined || trigger.type === 'device');
+}
+
+// Values a leaf compares a field with, which must be values the field can take
+function comparedValues(leaf) {
+    if (['eq', 'neq', 'changedTo', 'changedFrom'].includes(leaf.op)) return [leaf.value];
+    if (leaf.op === 'in' && Array.isArray(leaf.value)) return leaf.value;
+    return [];
+}
+
+// Returns an error message, or null when every condition on device state names a field
+// of the device's type, compares numbers only on numeric fields and compares with values
+// the field can take. typeOf(deviceId) is the device's type, or undefined if it does not
+// exist; devices of types outside the registry are not checked.
+function validateTriggerFields(trigger, typeOf) {
+    const triggerDeviceId = (trigger.conditions || {}).deviceId;
+    const triggerIds = trigger.type === 'device' && triggerDeviceId !== undefined ? [].concat(triggerDeviceId) : [];
+
+    for (const { leaf, path, valuePath = `${path}.value` } of deviceStateLeaves(trigger)) {
+        const deviceIds = leaf.deviceId !== undefined ? [leaf.deviceId] : triggerIds;
+
+        for (const deviceId of deviceIds) {
+            const type = typeOf(deviceId);
+            if (!type) {
+                return `${path}: device ${deviceId} not found`;
+            }
+            if (!isDeviceType(type)) continue;
+
+            const schema = getFieldSchema(type, leaf.field);
+            if (!schema) {
+                return `${path}: ${leaf.field} is not a ${type} state field`;
+            }
+
+            const types = [].concat(schema.type);
+            if ((NUMERIC_OPERATORS.includes(leaf.op) || leaf.op === 'between') &&
+                !types.includes('number') && !types.includes('integer')) {
+                return `${path}: ${leaf.op} compares numbers, but ${leaf.field} of a ${type} is a ${types.join(' or ')}`;
+            }
+
+            for (const value of comparedValues(leaf)) {
+                const valueError = validateValue(schema, value, valuePath);
+                if (valueError) return valueError;
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    evaluateSensorTrigger,
+    evaluateTrigger,
+    isTriggerDevice,
+    isWithinTimeWindow,
+    matchesSensorTrigger,
+    sameValue,
+    validateTrigger,
+    validateTriggerFields
+};
@@ -0,0 +1,200 @@
+// Device commands.
+//
+// Every state change asked of a device is a command in device_commands, with a
+// status that moves along:
+//
+//   pending    accepted and sent to the device on the device.control exchange
+//   delivered  the device says it has received it
+//   applied    the device has applied it and reported its new state
+//   failed     rejected by device-service (e.g. invalid state) or by the device
+//   timed_out  neither applied nor failed within DEVICE_COMMAND_TIMEOUT_MS
+//
+// Only pending and delivered commands are open; the others are final and never
+// change again, so a late or repeated device.status is ignored.
+//
+// devices.desired_state is the state asked for: the reported state with every
+// open command on top. devices.state remains what the device last reported.
+
+const COMMAND_TIMEOUT_MS = parseInt(process.env.DEVICE_COMMAND_TIMEOUT_MS || '30000', 10);
+const SWEEP_INTERVAL_MS = parseInt(process.env.DEVICE_COMMAND_SWEEP_INTERVAL_MS || '5000', 10);
+
+const COMMAND_STATUSES = ['pending', 'delivered', 'applied', 'failed', 'timed_out'];
+const OPEN_STATUSES = ['pending', 'delivered'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Validate the query string of GET /api/devices/:id/commands
+function validateCommandQuery({ status, limit }) {
+    if (status !== undefined && !COMMAND_STATUSES.includes(status)) {
+        return `status must be one of: ${COMMAND_STATUSES.join(', ')}`;
+    }
+
+    if (limit !== undefined) {
+        const value = Number(limit);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+            return `limit must be between 1 and ${MAX_LIMIT}`;
+        }
+    }
+
+    return null;
+}
+
+function createCommands({ pool, onTimeout }) {
+    let timer = null;
+
+    async function init() {
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS device_commands (
+        id VARCHAR(64) PRIMARY KEY,
+        device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        state JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        origin VARCHAR(20) NOT NULL,
+        causation_id VARCHAR(64),
+        depth INTEGER,
+        reported_state JSONB,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+        await pool.query('CREATE INDEX IF NOT EXISTS device_commands_device_time ON device_commands (device_id, created_at)');
+        await pool.query(`CREATE INDEX IF NOT EXISTS device_commands_open ON device_commands (expires_at) WHERE status IN ('pending', 'delivered')`);
+
+        console.log('Device commands initialized');
+    }
+
+    // Record a command and add its state to the device's desired state, or with an error,
+    // record it as failed straight away. A command id that is already recorded (a
+    // redelivered message) returns the existing command.
+    async function create({ id, deviceId, state, origin, causationId, depth, error }) {
+        const result = await pool.query(
+            `WITH command AS (
+               INSERT INTO device_commands (id, device_id, state, status, origin, causation_id, depth, error, completed_at, expires_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                       CASE WHEN $4 = 'failed' THEN CURRENT_TIMESTAMP END,
+                       CURRENT_TIMESTAMP + $9 * INTERVAL '1 millisecond')
+               ON CONFLICT (id) DO NOTHING
+               RETURNING *
+             ), desired AS (
+               UPDATE devices SET desired_state = COALESCE(desired_state, state) || $3::jsonb
+               WHERE id = (SELECT device_id FROM command WHERE status = 'pending')
+             )
+             SELECT * FROM command`,
+            [
+                id, deviceId, JSON.stringify(state), error ? 'failed' : 'pending', origin,
+                causationId || null, depth === undefined ? null : depth, error || null, COMMAND_TIMEOUT_MS
+            ]
+        );
+
+        return result.rows[0] || get(id);
+    }
+
+    async function get(id) {
+        const result = await pool.query('SELECT * FROM device_commands WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    // Move an open command to a new status. Returns the updated command, or null when
+    // there is no such command or it is already final (or already delivered).
+    async function transition(id, status, { error, reportedState } = {}) {
+        const from = status === 'delivered' ? ['pending'] : OPEN_STATUSES;
+        const result = await pool.query(
+            `UPDATE device_commands
+             SET status = $2,
+                 error = $3,
+                 reported_state = $4,
+                 delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+                 completed_at = CASE WHEN $2 = 'delivered' THEN NULL ELSE CURRENT_TIMESTAMP END
+             WHERE id = $1 AND status = ANY($5)
+             RETURNING *`,
+            [id, status, error || null, reportedState ? JSON.stringify(reportedState) : null, from]
+        );
+
+        const command = result.rows[0] || null;
+        if (command && ['failed', 'timed_out'].includes(status)) {
+            await syncDesired(command.device_id);
+        }
+        return command;
+    }
+
+    // Rebuild a device's desired state from its reported state and open commands, once a
+    // command has failed or the device has reported the state it applied
+    async function syncDesired(deviceId) {
+        const open = await pool.query(
+            `SELECT state FROM device_commands
+             WHERE device_id = $1 AND status IN ('pending', 'delivered')
+             ORDER BY created_at`,
+            [deviceId]
+        );
+        const pending = open.rows.reduce((desired, row) => ({ ...desired, ...row.state }), {});
+
+        await pool.query('UPDATE devices SET desired_state = state || $2::jsonb WHERE id = $1', [deviceId, JSON.stringify(pending)]);
+    }
+
+    // A device's commands, newest first
+    async function list(deviceId, { status, limit }) {
+        const params = [deviceId, limit !== undefined ? Number(limit) : DEFAULT_LIMIT];
+        if (status) params.push(status);
+
+        const result = await pool.query(
+            `SELECT * FROM device_commands
+             WHERE device_id = $1 ${status ? 'AND status = $3' : ''}
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            params
+        );
+        return result.rows;
+    }
+
+    // Time out open commands past their deadline
+    async function sweep() {
+        const result = await pool.query(
+            `UPDATE device_commands SET status = 'timed_out', completed_at = CURRENT_TIMESTAMP,
+                    error = 'The device did not respond in time'
+             WHERE status IN ('pending', 'delivered') AND expires_at < CURRENT_TIMESTAMP
+             RETURNING *`
+        );
+
+        for (const command of result.rows) {
+            try {
+                await syncDesired(command.device_id);
+                await onTimeout(command);
+            } catch (error) {
+                console.error(`Error timing out command ${command.id}:`, error);
+            }
+        }
+        return result.rows;
+    }
+
+    return {
+        create,
+        get,
+        init,
+        list,
+        sweep,
+        syncDesired,
+        transition,
+        start() {
+            if (!timer) {
+                timer = setInterval(() => {
+                    sweep().catch(error => console.error('Command timeout sweep error:', error));
+                }, SWEEP_INTERVAL_MS);
+                console.log(`Command timeouts started (${COMMAND_TIMEOUT_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    COMMAND_STATUSES,
+    COMMAND_TIMEOUT_MS,
+    createCommands,
+    validateCommandQuery
+};
@@ -0,0 +1,288 @@
+// Device state history.
+//
+// Every change to a device's state is appended to device_state_history with
+// the full new state and the names of the top-level fields that changed. The
+// table is range-partitioned by day (device_state_history_pYYYYMMDD, UTC), so
+// retention drops whole partitions instead of deleting rows. Partitions are
+// created a few days ahead; rows that arrive without one land in
+// device_state_history_default, which is pruned row by row.
+
+const HISTORY_RETENTION_DAYS = parseInt(process.env.DEVICE_HISTORY_RETENTION_DAYS || '30', 10);
+const HISTORY_MAINTENANCE_INTERVAL_MS = parseInt(process.env.DEVICE_HISTORY_MAINTENANCE_INTERVAL_MS || '3600000', 10);
+const PARTITION_DAYS_AHEAD = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BUCKET_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+const MAX_BUCKETS = 2000;
+const DEFAULT_POINTS = 1000;
+const MAX_POINTS = 10000;
+const DEFAULT_RANGE_MS = DAY_MS;
+
+// Seconds in a bucket like "30s", "5m", "1h" or "1d", or null
+function parseBucket(bucket) {
+    const match = /^(\d+)([smhd])$/.exec(bucket || '');
+    if (!match || Number(match[1]) === 0) return null;
+
+    return Number(match[1]) * BUCKET_UNITS[match[2]];
+}
+
+function parseTime(value, fallback) {
+    if (value === undefined) return fallback;
+    return new Date(value);
+}
+
+// Validate the query string of GET /api/devices/:id/history
+function validateHistoryQuery(query) {
+    const { from, to, field, bucket, limit } = query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && Number.isNaN(parseTime(value).getTime())) {
+            return `${name} must be an ISO 8601 date`;
+        }
+    }
+
+    const { from: start, to: end } = historyOptions(query);
+    if (start >= end) {
+        return 'from must be before to';
+    }
+
+    if (field !== undefined && !/^[A-Za-z0-9_]{1,64}$/.test(field)) {
+        return 'field must be a state field name';
+    }
+
+    if (bucket !== undefined) {
+        const seconds = parseBucket(bucket);
+        if (!seconds) {
+            return 'bucket must be a number followed by s, m, h or d (e.g. 5m)';
+        }
+        if (field === undefined) {
+            return 'bucket requires field';
+        }
+        if ((end - start) / (seconds * 1000) > MAX_BUCKETS) {
+            return `bucket is too small for the range (at most ${MAX_BUCKETS} buckets)`;
+        }
+    }
+
+    if (limit !== undefined) {
+        const value = Number(limit);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_POINTS) {
+            return `limit must be between 1 and ${MAX_POINTS}`;
+        }
+    }
+
+    return null;
+}
+
+// Query options with defaults: the last day, up to DEFAULT_POINTS raw points
+function historyOptions(query) {
+    const to = parseTime(query.to, new Date());
+    const from = parseTime(query.from, new Date(to.getTime() - DEFAULT_RANGE_MS));
+
+    return {
+        from,
+        to,
+        field: query.field,
+        bucketSeconds: query.bucket !== undefined ? parseBucket(query.bucket) : null,
+        limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_POINTS
+    };
+}
+
+// Top-level fields whose values differ between two states
+function changedFields(state, previousState) {
+    const fields = new Set([...Object.keys(state || {}), ...Object.keys(previousState || {})]);
+
+    return [...fields].filter(field =>
+        JSON.stringify((state || {})[field]) !== JSON.stringify((previousState || {})[field])
+    );
+}
+
+function dayStart(time) {
+    const day = new Date(time);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+function partitionName(day) {
+    return `device_state_history_p${day.toISOString().slice(0, 10).replace(/-/g, '')}`;
+}
+
+function createHistory({ pool }) {
+    let timer = null;
+
+    async function init() {
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS device_state_history (
+        device_id INTEGER NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        state JSONB NOT NULL,
+        changed TEXT[] NOT NULL DEFAULT '{}',
+        source VARCHAR(20) NOT NULL,
+        command_id VARCHAR(64)
+      ) PARTITION BY RANGE (recorded_at)
+    `);
+        await pool.query('CREATE TABLE IF NOT EXISTS device_state_history_default PARTITION OF device_state_history DEFAULT');
+        await pool.query('CREATE INDEX IF NOT EXISTS device_state_history_device_time ON device_state_history (device_id, recorded_at)');
+
+        await maintain();
+        console.log('Device state history initialized');
+    }
+
+    // Create the coming days' partitions and drop the ones past retention
+    async function maintain() {
+        const today = dayStart(Date.now());
+
+        for (let offset = 0; offset <= PARTITION_DAYS_AHEAD; offset++) {
+            const day = new Date(today.getTime() + offset * DAY_MS);
+            const next = new Date(day.getTime() + DAY_MS);
+            try {
+                await pool.query(
+                    `CREATE TABLE IF NOT EXISTS ${partitionName(day)} PARTITION OF device_state_history
+                     FOR VALUES FROM ('${day.toISOString()}') TO ('${next.toISOString()}')`
+                );
+            } catch (error) {
+                console.error(`Error creating history partition ${partitionName(day)}:`, error.message);
+            }
+        }
+
+        // Partitions are dropped once all of their day is past retention
+        const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * DAY_MS);
+        const oldest = partitionName(new Date(dayStart(cutoff).getTime() - DAY_MS));
+        const partitions = await pool.query(
+            `SELECT child.relname AS name
+             FROM pg_inherits
+             JOIN pg_class parent ON parent.oid = pg_inherits.inhparent
+             JOIN pg_class child ON child.oid = pg_inherits.inhrelid
+             WHERE parent.relname = 'device_state_history' AND child.relname ~ '^device_state_history_p[0-9]{8}$'`
+        );
+
+        for (const { name } of partitions.rows) {
+            if (name <= oldest) {
+                await pool.query(`DROP TABLE IF EXISTS ${name}`);
+                console.log(`Dropped history partition ${name}`);
+            }
+        }
+
+        await pool.query('DELETE FROM device_state_history_default WHERE recorded_at < $1', [cutoff]);
+    }
+
+    // Append a state change. Without previousState (a new device) every field counts as
+    // changed; with one, nothing is written unless a field changed. Failures are logged
+    // rather than thrown, like event publishing, so they never fail the state update.
+    async function record(deviceId, { state, previousState, source, commandId }) {
+        const changed = changedFields(state, previousState);
+        if (previousState !== undefined && changed.length === 0) return;
+
+        try {
+            await pool.query(
+                `INSERT INTO device_state_history (device_id, state, changed, source, command_id)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [deviceId, JSON.stringify(state || {}), changed, source, commandId || null]
+            );
+        } catch (error) {
+            console.error(`Error recording state history for device ${deviceId}:`, error);
+        }
+    }
+
+    // The latest value at or before `from`, so charts know where the range starts
+    async function valueBefore(deviceId, { from, field }) {
+        const result = await pool.query(
+            `SELECT recorded_at AS time, ${field ? 'state->$3 AS value' : 'state'}
+             FROM device_state_history
+             WHERE device_id = $1 AND recorded_at < $2 ${field ? 'AND state ? $3' : ''}
+             ORDER BY recorded_at DESC
+             LIMIT 1`,
+            field ? [deviceId, from, field] : [deviceId, from]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    // Raw changes in [from, to), the latest `limit` of them in time order. With a field,
+    // only the changes to that field and its value.
+    async function points(deviceId, { from, to, field, limit }) {
+        const params = [deviceId, from, to, limit + 1];
+        let select = 'recorded_at AS time, state, changed, source, command_id';
+        let where = '';
+
+        if (field) {
+            params.push(field);
+            select = 'recorded_at AS time, state->$5 AS value, source, command_id';
+            where = 'AND $5 = ANY(changed)';
+        }
+
+        const result = await pool.query(
+            `SELECT ${select}
+             FROM device_state_history
+             WHERE device_id = $1 AND recorded_at >= $2 AND recorded_at < $3 ${where}
+             ORDER BY recorded_at DESC
+             LIMIT $4`,
+            params
+        );
+
+        return {
+            points: result.rows.slice(0, limit).reverse(),
+            truncated: result.rows.length > limit
+        };
+    }
+
+    // min/max/avg of one field per bucket. Booleans count as 0 and 1, so avg is the
+    // share of changes that set it; fields that are not numbers or booleans only get
+    // their last value and a sample count.
+    async function buckets(deviceId, { from, to, field, bucketSeconds }) {
+        const result = await pool.query(
+            `SELECT date_bin($5 * INTERVAL '1 second', recorded_at, TIMESTAMPTZ '1970-01-01Z') AS time,
+                    MIN(number) AS min, MAX(number) AS max, AVG(number) AS avg,
+                    COUNT(*)::int AS samples,
+                    (ARRAY_AGG(value ORDER BY recorded_at DESC))[1] AS last
+             FROM (
+               SELECT recorded_at, state->$4 AS value,
+                      CASE jsonb_typeof(state->$4)
+                        WHEN 'number' THEN (state->>$4)::float8
+                        WHEN 'boolean' THEN CASE WHEN (state->>$4)::boolean THEN 1 ELSE 0 END
+                      END AS number
+               FROM device_state_history
+               WHERE device_id = $1 AND recorded_at >= $2 AND recorded_at < $3 AND state ? $4
+             ) samples
+             GROUP BY 1
+             ORDER BY 1`,
+            [deviceId, from, to, field, bucketSeconds]
+        );
+
+        return result.rows;
+    }
+
+    async function query(deviceId, options) {
+        const previous = await valueBefore(deviceId, options);
+
+        if (options.bucketSeconds) {
+            return { previous, buckets: await buckets(deviceId, options) };
+        }
+        return { previous, ...await points(deviceId, options) };
+    }
+
+    return {
+        init,
+        maintain,
+        query,
+        record,
+        start() {
+            if (!timer) {
+                timer = setInterval(() => {
+                    maintain().catch(error => console.error('State history maintenance error:', error));
+                }, HISTORY_MAINTENANCE_INTERVAL_MS);
+                console.log(`State history maintenance started (retention ${HISTORY_RETENTION_DAYS} days)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    HISTORY_RETENTION_DAYS,
+    createHistory,
+    historyOptions,
+    validateHistoryQuery
+};
@@ -1,9 +1,16 @@
+const crypto = require('crypto');
 const express = require('express');
 const { Pool } = require('pg');
 const amqp = require('amqplib');
 const { Kafka } = require('kafkajs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { createDeadLetterAdmin, createEvent, createEventReader, mountDeadLetterRoutes } = require('@smart-home/events');
+const { defaultState, describeDeviceTypes, isDeviceType, validateState } = require('@smart-home/device-types');
+const { createHistory, historyOptions, validateHistoryQuery } = require('./history');
+const { createPresence } = require('./presence');
+const { createCommands, validateCommandQuery } = require('./commands');
+const { createSimulator } = require('./simulator');
 
 const app = express();
 app.use(express.json());
@@ -11,12 +18,47 @@ app.use(cors());
 
 const PORT = process.env.PORT || 3002;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Source of the events this service publishes
+const SERVICE_NAME = 'device-service';
 
 // PostgreSQL connection
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL
 });
 
+// Every state change, for GET /api/devices/:id/history
+const history = createHistory({ pool });
+
+// Online/offline tracking from heartbeats, published as device.online and device.offline
+const presence = createPresence({
+    pool,
+    onChange: (device, status) => publishDeviceEvent(`device.${status}`, device.id, { userId: device.user_id, homeId: device.home_id }, {
+        deviceId: device.id,
+        deviceName: device.name,
+        lastSeen: device.last_seen ? new Date(device.last_seen).toISOString() : null
+    })
+});
+
+// Command records and timeouts, for GET /api/devices/:id/commands
+const commands = createCommands({
+    pool,
+    onTimeout: async (command) => {
+        const device = await getDevice(command.device_id);
+        publishDeviceStatus({ userId: device.user_id, homeId: device.home_id }, {
+            commandId: command.id,
+            deviceId: command.device_id,
+            deviceName: device.name,
+            status: 'timed_out',
+            error: command.error
+        });
+    }
+});
+
+// Stand-in devices for development (see simulator.js)
+const simulator = process.env.DEVICE_SIMULATOR === 'true'
+    ? createSimulator({ pool, getChannel: () => rabbitChannel })
+    : null;
+
 // Initialize database
 async function initDB() {
     const client = await pool.connect();
@@ -31,22 +73,27 @@ async function initDB() {
         room VARCHAR(100),
         status VARCHAR(20) DEFAULT 'offline',
         state JSONB DEFAULT '{}',
+        desired_state JSONB DEFAULT '{}',
         last_seen TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+        // state is what the device reported; desired_state what was asked of it
+        await client.query(`ALTER TABLE devices ADD COLUMN IF NOT EXISTS desired_state JSONB DEFAULT '{}'`);
+
         // Insert sample devices only if none exist
         const count = await client.query('SELECT COUNT(*) FROM devices');
         if (count.rows[0].count === '0') {
             await client.query(`
         INSERT INTO devices (user_id, home_id, name, type, room, status, state) VALUES
-        (1, 1, 'Living Room Light', 'light', 'Living Room', 'online', '{"on": false, "brightness": 100}'),
-        (1, 1, 'Bedroom Thermostat', 'thermostat', 'Bedroom', 'online', '{"temperature": 22, "mode": "auto"}'),
-        (1, 1, 'Front Door Lock', 'lock', 'Entrance', 'online', '{"locked": true}'),
-        (1, 1, 'Kitchen Camera', 'camera', 'Kitchen', 'online', '{"recording": false}'),
-        (1, 1, 'Garden Sprinkler', 'sprinkler', 'Garden', 'online', '{"active": false}')
+        (1, 1, 'Living Room Light', 'light', 'Living Room', 'offline', '{"on": false, "brightness": 100}'),
+        (1, 1, 'Bedroom Thermostat', 'thermostat', 'Bedroom', 'offline', '{"temperature": 22, "mode": "auto"}'),
+        (1, 1, 'Front Door Lock', 'lock', 'Entrance', 'offline', '{"locked": true}'),
+        (1, 1, 'Kitchen Camera', 'camera', 'Kitchen', 'offline', '{"recording": false}'),
+        (1, 1, 'Garden Sprinkler', 'sprinkler', 'Garden', 'offline', '{"active": false}')
       `);
+            await client.query('UPDATE devices SET desired_state = state');
             console.log('Sample devices inserted');
         }
 
@@ -54,53 +101,161 @@ async function initDB() {
     } finally {
         client.release();
     }
+
+    await history.init();
+    history.start();
+    presence.start();
+    await commands.init();
+    commands.start();
 }
 
 initDB();
 
 // RabbitMQ connection
+let rabbitConnection;
 let rabbitChannel;
 async function connectRabbitMQ() {
     try {
         const connection = await amqp.connect(process.env.RABBITMQ_URL);
         rabbitChannel = await connection.createChannel();
+        rabbitConnection = connection;
 
         await rabbitChannel.assertQueue('device.command', { durable: true });
         await rabbitChannel.assertQueue('device.status', { durable: true });
         await rabbitChannel.assertQueue('automation.trigger', { durable: true });
+        await rabbitChannel.assertQueue('device.heartbeat', { durable: true });
+
+        // device.status is a fanout so every interested service gets its own copy;
+        // devices publish to it too, and ours lands in device-service.device.status
+        await rabbitChannel.assertExchange('device.status', 'fanout', { durable: true });
+        await rabbitChannel.bindQueue('device.status', 'device.status', '');
+        await rabbitChannel.assertQueue('device-service.device.status', { durable: true });
+        await rabbitChannel.bindQueue('device-service.device.status', 'device.status', '');
+
+        // Commands go out to devices here, routed by device.<id>
+        await rabbitChannel.assertExchange('device.control', 'topic', { durable: true });
 
         console.log('Connected to RabbitMQ');
 
-        // Listen for device commands
-        rabbitChannel.consume('device.command', async (msg) => {
-            if (msg) {
-                const command = JSON.parse(msg.content.toString());
-                console.log('Received device command:', command);
-
-                try {
-                    // Update device state
-                    await pool.query(
-                        'UPDATE devices SET state = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
-                        [JSON.stringify(command.state), command.deviceId]
-                    );
+        // Heartbeats from devices; one for an unknown device is dropped, as a retry would not help
+        await eventReader.consume('device.heartbeat', async (heartbeat) => {
+            const device = await presence.seen(heartbeat.deviceId);
+            if (!device) {
+                console.warn(`Ignoring heartbeat from unknown device ${heartbeat.deviceId}`);
+            }
+        });
+
+        // Listen for device commands, record them and pass them on to the device.
+        // Failed sends are retried and reported as failed once the last attempt
+        // fails, or at once for unknown devices and invalid states.
+        await eventReader.consume('device.command', async (command, { lastAttempt }) => {
+            console.log('Received device command:', command);
+            const commandId = command.commandId || crypto.randomUUID();
+
+            try {
+                const device = await getDevice(command.deviceId);
+                if (!device) {
+                    throw permanentError('Device not found');
+                }
 
-                    // Acknowledge command processed
-                    rabbitChannel.sendToQueue(
-                        'device.status',
-                        Buffer.from(JSON.stringify({
-                            deviceId: command.deviceId,
-                            status: 'success',
-                            state: command.state
-                        })),
+                // Invalid commands are recorded as failed, so they show up for the device too
+                const stateError = validateState(device.type, command.state, { partial: true });
+                const record = await commands.create({
+                    id: commandId,
+                    deviceId: device.id,
+                    state: command.state,
+                    origin: commandSource(command),
+                    causationId: command.causationId,
+                    depth: command.depth,
+                    error: stateError
+                });
+                if (stateError) {
+                    throw permanentError(stateError);
+                }
+
+                // Redelivered commands the device has already answered are not sent again
+                if (record.status === 'pending') {
+                    rabbitChannel.publish(
+                        'device.control',
+                        `device.${device.id}`,
+                        Buffer.from(JSON.stringify(createEvent('device.command', {
+                            source: SERVICE_NAME,
+                            userId: device.user_id,
+                            homeId: device.home_id,
+                            payload: { commandId, deviceId: device.id, state: command.state }
+                        }))),
                         { persistent: true }
                     );
-                } catch (error) {
-                    console.error('Error processing device command:', error);
                 }
+            } catch (error) {
+                console.error('Error processing device command:', error);
+
+                if (error.retryable === false || lastAttempt) {
+                    if (error.retryable !== false) {
+                        await commands.transition(commandId, 'failed', { error: error.message }).catch((recordError) => {
+                            console.error(`Failed to record command ${commandId} as failed:`, recordError);
+                        });
+                    }
+                    publishDeviceStatus({ userId: command.userId, homeId: command.homeId }, {
+                        commandId,
+                        deviceId: command.deviceId,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+                throw error;
+            }
+        });
 
-                rabbitChannel.ack(msg);
+        // Answers from devices. Only the first final answer to a command counts; statuses
+        // of unknown or already finished commands (e.g. our own failures) are ignored.
+        await eventReader.consume('device-service.device.status', async (status) => {
+            if (!status.commandId) return;
+
+            const command = await commands.get(status.commandId);
+            if (!command || !['pending', 'delivered'].includes(command.status)) return;
+
+            const device = await getDevice(command.device_id);
+            if (!device) return;
+
+            // Without a state, the device applied exactly what was asked
+            const reported = status.state || command.state;
+            if (status.status === 'applied') {
+                const stateError = validateState(device.type, reported, { partial: true, reported: true });
+                if (stateError) {
+                    console.error(`Device ${device.id} reported an invalid state for command ${command.id}:`, stateError);
+                    const failed = await commands.transition(command.id, 'failed', { error: `Invalid reported state: ${stateError}` });
+                    if (failed) {
+                        publishDeviceStatus({ userId: device.user_id, homeId: device.home_id }, {
+                            commandId: command.id,
+                            deviceId: device.id,
+                            deviceName: device.name,
+                            status: 'failed',
+                            error: failed.error
+                        });
+                    }
+                    return;
+                }
+            }
+
+            const updated = await commands.transition(command.id, status.status, {
+                error: status.error,
+                reportedState: status.state
+            });
+            if (!updated) return;
+
+            // The device answered, so it is online
+            await presence.seen(device.id);
+
+            if (status.status === 'applied') {
+                await applyReportedState(device, updated, reported);
+                await commands.syncDesired(device.id);
             }
         });
+
+        if (simulator) {
+            await simulator.listen(rabbitChannel);
+        }
     } catch (error) {
         console.error('RabbitMQ connection error:', error);
         setTimeout(connectRabbitMQ, 5000);
@@ -109,6 +264,94 @@ async function connectRabbitMQ() {
 
 connectRabbitMQ();
 
+// Errors that retrying cannot fix, so the command is failed and dead-lettered at once
+function permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
+// A device's id, owner, name and type, or null when it does not exist (or, with a userId, is not theirs)
+async function getDevice(deviceId, userId) {
+    const columns = 'id, user_id, home_id, name, type';
+    const result = userId === undefined
+        ? await pool.query(`SELECT ${columns} FROM devices WHERE id = $1`, [deviceId])
+        : await pool.query(`SELECT ${columns} FROM devices WHERE id = $1 AND user_id = $2`, [deviceId, userId]);
+
+    return result.rows[0] || null;
+}
+
+// Merge the state a device reported after applying a command into its state. The
+// causation id and depth let automation-service stop rule cascades.
+async function applyReportedState(device, command, reported) {
+    const result = await pool.query(
+        `UPDATE devices SET state = previous.state || $1::jsonb
+         FROM (SELECT id, state FROM devices WHERE id = $2 FOR UPDATE) AS previous
+         WHERE devices.id = previous.id
+         RETURNING devices.state, previous.state AS previous_state,
+                   previous.state IS DISTINCT FROM devices.state AS changed`,
+        [JSON.stringify(reported), device.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].changed) return;
+
+    const { state, previous_state: previousState } = result.rows[0];
+    await history.record(device.id, { state, previousState, source: command.origin, commandId: command.id });
+    await publishStateChanged({ userId: device.user_id, homeId: device.home_id }, {
+        deviceId: device.id,
+        state,
+        previousState,
+        commandId: command.id,
+        causationId: command.causation_id || undefined,
+        depth: command.depth === null ? undefined : command.depth
+    });
+}
+
+// What sent a device command, for the state history
+function commandSource(command) {
+    if (command.origin === 'api') return 'api';
+    if (command.automationId) return 'automation';
+    if (command.sceneId) return 'scene';
+    return 'command';
+}
+
+// Report the outcome of a device command to every device.status subscriber, when
+// device-service rather than the device decides it (rejected or timed out)
+function publishDeviceStatus({ userId, homeId }, status) {
+    try {
+        const event = createEvent('device.status', { source: SERVICE_NAME, userId, homeId, payload: status });
+        rabbitChannel.publish(
+            'device.status',
+            '',
+            Buffer.from(JSON.stringify(event)),
+            { persistent: true }
+        );
+    } catch (error) {
+        console.error(`Failed to publish device.status for command ${status.commandId}:`, error);
+    }
+}
+
+// Publish an event about one device to device-events, keyed by the device so
+// its events stay in order
+async function publishDeviceEvent(type, deviceId, owner, payload) {
+    try {
+        await kafkaProducer.send({
+            topic: 'device-events',
+            messages: [{
+                key: deviceId.toString(),
+                value: JSON.stringify(createEvent(type, { source: SERVICE_NAME, ...owner, payload }))
+            }]
+        });
+    } catch (kafkaError) {
+        console.error('Failed to publish to Kafka:', kafkaError);
+    }
+}
+
+// Publish a device.state_changed event to device-events
+async function publishStateChanged(owner, change) {
+    await publishDeviceEvent('device.state_changed', change.deviceId, owner, change);
+}
+
 // Kafka connection
 const kafka = new Kafka({
     clientId: 'device-service',
@@ -116,39 +359,26 @@ const kafka = new Kafka({
 });
 
 const kafkaProducer = kafka.producer();
-const kafkaConsumer = kafka.consumer({ groupId: 'device-service-group' });
 
+// Invalid messages go to dead-letter queues and topics instead of the handlers
+const eventReader = createEventReader({
+    consumer: SERVICE_NAME,
+    getChannel: () => rabbitChannel,
+    producer: kafkaProducer
+});
+
+// Messages given up on by the RabbitMQ consumers, for the admin API
+const deadLetters = createDeadLetterAdmin({
+    getConnection: () => rabbitConnection,
+    queues: ['device.command', 'device.heartbeat', 'device-service.device.status']
+});
+
+// Device state only changes when a device reports it, so automation.executed is not
+// read here: the actions it lists arrive as commands on device.command.
 async function connectKafka() {
     try {
         await kafkaProducer.connect();
-        await kafkaConsumer.connect();
-        await kafkaConsumer.subscribe({ topic: 'automation-events', fromBeginning: false });
-
         console.log('Connected to Kafka');
-
-        // Listen for automation triggers
-        kafkaConsumer.run({
-            eachMessage: async ({ topic, partition, message }) => {
-                const event = JSON.parse(message.value.toString());
-                console.log('Received automation event:', event);
-
-                if (event.type === 'automation.executed') {
-                    // Update affected devices
-                    for (const action of event.actions || []) {
-                        if (action.deviceId) {
-                            try {
-                                await pool.query(
-                                    'UPDATE devices SET state = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
-                                    [JSON.stringify(action.state), action.deviceId]
-                                );
-                            } catch (error) {
-                                console.error('Error updating device from automation:', error);
-                            }
-                        }
-                    }
-                }
-            }
-        });
     } catch (error) {
         console.error('Kafka connection error:', error);
         setTimeout(connectKafka, 5000);
@@ -175,12 +405,23 @@ function authenticateToken(req, res, next) {
     });
 }
 
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin role required' });
+    }
+    next();
+}
+
+// Number of open commands, so clients can show which devices have changes on the way
+const PENDING_COMMANDS = `(SELECT COUNT(*) FROM device_commands c
+    WHERE c.device_id = devices.id AND c.status IN ('pending', 'delivered'))::int AS pending_commands`;
+
 // GET /api/devices - Get all user's devices
 app.get('/api/devices', authenticateToken, async (req, res) => {
     try {
         const { room, type, status } = req.query;
 
-        let query = 'SELECT * FROM devices WHERE user_id = $1';
+        let query = `SELECT *, ${PENDING_COMMANDS} FROM devices WHERE user_id = $1`;
         const params = [req.user.id];
         let paramCount = 1;
 
@@ -218,7 +459,7 @@ app.get('/api/devices', authenticateToken, async (req, res) => {
 app.get('/api/devices/:id', authenticateToken, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT * FROM devices WHERE id = $1 AND user_id = $2',
+            `SELECT *, ${PENDING_COMMANDS} FROM devices WHERE id = $1 AND user_id = $2`,
             [req.params.id, req.user.id]
         );
 
@@ -233,6 +474,67 @@ app.get('/api/devices/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// GET /api/device-types - Every device type with its capabilities, state schema and default state
+app.get('/api/device-types', authenticateToken, (req, res) => {
+    res.json({ deviceTypes: describeDeviceTypes() });
+});
+
+// GET /api/devices/:id/history - State changes over time, raw or downsampled per bucket
+app.get('/api/devices/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateHistoryQuery(req.query);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const device = await pool.query(
+            'SELECT id FROM devices WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (device.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const options = historyOptions(req.query);
+        const result = await history.query(device.rows[0].id, options);
+
+        res.json({
+            deviceId: device.rows[0].id,
+            from: options.from,
+            to: options.to,
+            field: options.field || null,
+            bucket: req.query.bucket || null,
+            ...result
+        });
+    } catch (error) {
+        console.error('Get device history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/devices/:id/commands - A device's commands, newest first, optionally by status
+app.get('/api/devices/:id/commands', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateCommandQuery(req.query);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const result = await commands.list(device.id, req.query);
+
+        res.json({ commands: result });
+    } catch (error) {
+        console.error('Get device commands error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // POST /api/devices - Add new device
 app.post('/api/devices', authenticateToken, async (req, res) => {
     try {
@@ -243,56 +545,21 @@ app.post('/api/devices', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Name and type are required' });
         }
 
-        const validTypes = ['light', 'thermostat', 'lock', 'camera', 'sprinkler'];
-        if (!validTypes.includes(type)) {
+        if (!isDeviceType(type)) {
             return res.status(400).json({ error: 'Invalid device type' });
         }
 
-        // Set default state based on device type
-        let defaultState = {};
-        switch (type) {
-            case 'light':
-                defaultState = { on: false, brightness: 100 };
-                break;
-            case 'thermostat':
-                defaultState = { temperature: 22, mode: 'auto' };
-                break;
-            case 'lock':
-                defaultState = { locked: true };
-                break;
-            case 'camera':
-                defaultState = { recording: false };
-                break;
-            case 'sprinkler':
-                defaultState = { active: false };
-                break;
-        }
-
+        const state = defaultState(type);
         const result = await pool.query(
-            'INSERT INTO devices (user_id, home_id, name, type, room, status, state) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-            [req.user.id, home_id || 1, name, type, room || 'Unassigned', 'offline', JSON.stringify(defaultState)]
+            'INSERT INTO devices (user_id, home_id, name, type, room, status, state, desired_state) VALUES ($1, $2, $3, $4, $5, $6, $7, $7) RETURNING *',
+            [req.user.id, home_id || 1, name, type, room || 'Unassigned', 'offline', JSON.stringify(state)]
         );
 
         const device = result.rows[0];
+        await history.record(device.id, { state, source: 'added' });
 
-        // Publish device added event to Kafka
-        try {
-            await kafkaProducer.send({
-                topic: 'device-events',
-                messages: [{
-                    key: device.id.toString(),
-                    value: JSON.stringify({
-                        type: 'device.added',
-                        device,
-                        userId: req.user.id,
-                        timestamp: new Date().toISOString()
-                    })
-                }]
-            });
-        } catch (kafkaError) {
-            console.error('Failed to publish to Kafka:', kafkaError);
-            // Don't fail the request if Kafka publish fails
-        }
+        // Publish device added event to Kafka; a failed publish does not fail the request
+        await publishDeviceEvent('device.added', device.id, { userId: device.user_id, homeId: device.home_id }, { device });
 
         res.status(201).json({
             message: 'Device added successfully',
@@ -313,18 +580,31 @@ app.put('/api/devices/:id', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Device name is required' });
         }
 
+        if (type !== undefined && !isDeviceType(type)) {
+            return res.status(400).json({ error: 'Invalid device type' });
+        }
+
+        // A device that changes type starts over from the new type's default state
         const result = await pool.query(
-            'UPDATE devices SET name = $1, room = $2, type = COALESCE($3, type) WHERE id = $4 AND user_id = $5 RETURNING *',
-            [name, room || 'Unassigned', type, req.params.id, req.user.id]
+            `UPDATE devices SET name = $1, room = $2, type = COALESCE($3, devices.type),
+                    state = CASE WHEN $3 IS NOT NULL AND $3 <> devices.type THEN $6::jsonb ELSE devices.state END,
+                    desired_state = CASE WHEN $3 IS NOT NULL AND $3 <> devices.type THEN $6::jsonb ELSE devices.desired_state END
+             FROM (SELECT id, type, state FROM devices WHERE id = $4 AND user_id = $5 FOR UPDATE) AS previous
+             WHERE devices.id = previous.id
+             RETURNING devices.*, previous.state AS previous_state`,
+            [name, room || 'Unassigned', type, req.params.id, req.user.id, type ? JSON.stringify(defaultState(type)) : null]
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Device not found' });
         }
 
+        const { previous_state: previousState, ...device } = result.rows[0];
+        await history.record(device.id, { state: device.state, previousState, source: 'api' });
+
         res.json({
             message: 'Device updated successfully',
-            device: result.rows[0]
+            device
         });
     } catch (error) {
         console.error('Update device error:', error);
@@ -332,7 +612,7 @@ app.put('/api/devices/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// PUT /api/devices/:id/state - Update device state
+// PUT /api/devices/:id/state - Send a command to change device state (the device reports back on device.status)
 app.put('/api/devices/:id/state', authenticateToken, async (req, res) => {
     try {
         const { state } = req.body;
@@ -342,61 +622,118 @@ app.put('/api/devices/:id/state', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Valid state object is required' });
         }
 
-        // Send command to device via RabbitMQ
-        if (rabbitChannel) {
-            try {
-                rabbitChannel.sendToQueue(
-                    'device.command',
-                    Buffer.from(JSON.stringify({
-                        deviceId,
-                        state,
-                        userId: req.user.id,
-                        timestamp: new Date().toISOString()
-                    })),
-                    { persistent: true }
-                );
-            } catch (rabbitError) {
-                console.error('Failed to send to RabbitMQ:', rabbitError);
-            }
+        const device = await getDevice(deviceId, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
         }
 
-        // Update in database
+        // Only the fields being changed need to be sent; they are checked against the type's schema
+        const stateError = validateState(device.type, state, { partial: true });
+        if (stateError) {
+            return res.status(400).json({ error: stateError });
+        }
+
+        // The command is recorded here so it can be returned; the device.command consumer
+        // finds it by id and forwards it to the device
+        let command = await commands.create({ id: crypto.randomUUID(), deviceId: device.id, state, origin: 'api' });
+
+        try {
+            if (!rabbitChannel) throw new Error('RabbitMQ is not connected');
+            rabbitChannel.sendToQueue(
+                'device.command',
+                Buffer.from(JSON.stringify(createEvent('device.command', {
+                    source: SERVICE_NAME,
+                    userId: device.user_id,
+                    homeId: device.home_id,
+                    payload: { commandId: command.id, deviceId: device.id, state, origin: 'api' }
+                }))),
+                { persistent: true }
+            );
+        } catch (rabbitError) {
+            console.error('Failed to send to RabbitMQ:', rabbitError);
+            command = await commands.transition(command.id, 'failed', { error: 'Command could not be sent' });
+            return res.status(503).json({ error: 'Command could not be sent', command });
+        }
+
+        const result = await pool.query(`SELECT *, ${PENDING_COMMANDS} FROM devices WHERE id = $1`, [device.id]);
+
+        res.status(202).json({
+            message: 'Command sent',
+            command,
+            device: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Update device state error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/devices/:id/report - Record state measured by the device itself (sensor readings, power use)
+app.post('/api/devices/:id/report', authenticateToken, async (req, res) => {
+    try {
+        const { state } = req.body;
+        const deviceId = req.params.id;
+
+        if (!state || typeof state !== 'object') {
+            return res.status(400).json({ error: 'Valid state object is required' });
+        }
+
+        const target = await getDevice(deviceId, req.user.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        // Unlike PUT /state, reports may set readOnly fields and send no command back to the device
+        const stateError = validateState(target.type, state, { partial: true, reported: true });
+        if (stateError) {
+            return res.status(400).json({ error: stateError });
+        }
+
+        // A report is also a heartbeat
+        await presence.seen(deviceId, req.user.id);
+
         const result = await pool.query(
-            'UPDATE devices SET state = $1, last_seen = CURRENT_TIMESTAMP, status = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
-            [JSON.stringify(state), 'online', deviceId, req.user.id]
+            `UPDATE devices SET state = previous.state || $1::jsonb
+             FROM (SELECT id, state FROM devices WHERE id = $2 AND user_id = $3 FOR UPDATE) AS previous
+             WHERE devices.id = previous.id
+             RETURNING devices.*, previous.state AS previous_state`,
+            [JSON.stringify(state), deviceId, req.user.id]
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Device not found' });
         }
 
-        const device = result.rows[0];
+        const { previous_state: previousState, ...device } = result.rows[0];
+        await history.record(device.id, { state: device.state, previousState, source: 'device' });
 
-        // Publish state change event to Kafka
-        try {
-            await kafkaProducer.send({
-                topic: 'device-events',
-                messages: [{
-                    key: deviceId.toString(),
-                    value: JSON.stringify({
-                        type: 'device.state_changed',
-                        deviceId,
-                        state,
-                        userId: req.user.id,
-                        timestamp: new Date().toISOString()
-                    })
-                }]
-            });
-        } catch (kafkaError) {
-            console.error('Failed to publish to Kafka:', kafkaError);
-        }
+        await publishStateChanged({ userId: device.user_id, homeId: device.home_id }, {
+            deviceId: device.id,
+            state: device.state,
+            previousState
+        });
 
         res.json({
-            message: 'Device state updated',
+            message: 'Device state reported',
             device
         });
     } catch (error) {
-        console.error('Update device state error:', error);
+        console.error('Report device state error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/devices/:id/heartbeat - Tell the service the device is alive
+app.post('/api/devices/:id/heartbeat', authenticateToken, async (req, res) => {
+    try {
+        const device = await presence.seen(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        res.json({ status: 'online', lastSeen: device.last_seen });
+    } catch (error) {
+        console.error('Device heartbeat error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -414,22 +751,11 @@ app.delete('/api/devices/:id', authenticateToken, async (req, res) => {
         }
 
         // Publish device removed event
-        try {
-            await kafkaProducer.send({
-                topic: 'device-events',
-                messages: [{
-                    key: req.params.id,
-                    value: JSON.stringify({
-                        type: 'device.removed',
-                        deviceId: req.params.id,
-                        userId: req.user.id,
-                        timestamp: new Date().toISOString()
-                    })
-                }]
-            });
-        } catch (kafkaError) {
-            console.error('Failed to publish to Kafka:', kafkaError);
-        }
+        const device = result.rows[0];
+        await publishDeviceEvent('device.removed', device.id, { userId: device.user_id, homeId: device.home_id }, {
+            deviceId: device.id,
+            device
+        });
 
         res.json({ message: 'Device removed successfully' });
     } catch (error) {
@@ -460,6 +786,9 @@ app.get('/api/devices/stats', authenticateToken, async (req, res) => {
     }
 });
 
+// /api/admin/dead-letters - Inspect, replay and purge dead-lettered commands (admins only)
+mountDeadLetterRoutes(app, deadLetters, authenticateToken, requireAdmin);
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'device-service' });
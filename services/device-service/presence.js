@@ -0,0 +1,85 @@
+// Device presence.
+//
+// A device is online while it keeps in touch: every heartbeat (POST
+// /api/devices/:id/heartbeat or a device.heartbeat message), every reading it
+// reports and every answer to a command sets last_seen and marks it online. The sweeper marks devices offline
+// once they have not been seen for DEVICE_OFFLINE_TIMEOUT_MS. Commands and state
+// changes made by users do not count, since they say nothing about the device.
+//
+// onChange(device, status) is called whenever a device goes online or offline,
+// with its id, user_id, home_id, name and last_seen.
+
+const OFFLINE_TIMEOUT_MS = parseInt(process.env.DEVICE_OFFLINE_TIMEOUT_MS || '300000', 10);
+const SWEEP_INTERVAL_MS = parseInt(process.env.DEVICE_PRESENCE_SWEEP_INTERVAL_MS || '30000', 10);
+
+function createPresence({ pool, onChange }) {
+    let timer = null;
+
+    async function notify(device, status) {
+        try {
+            await onChange(device, status);
+        } catch (error) {
+            console.error(`Error reporting device ${device.id} ${status}:`, error);
+        }
+    }
+
+    // Record that a device was heard from. Returns the device, or null when it does
+    // not exist (or, with a userId, is not theirs).
+    async function seen(deviceId, userId) {
+        const params = userId === undefined ? [deviceId] : [deviceId, userId];
+        const result = await pool.query(
+            `UPDATE devices SET last_seen = CURRENT_TIMESTAMP, status = 'online'
+             FROM (SELECT id, status FROM devices WHERE id = $1 ${userId === undefined ? '' : 'AND user_id = $2'} FOR UPDATE) AS previous
+             WHERE devices.id = previous.id
+             RETURNING devices.id, devices.user_id, devices.home_id, devices.name, devices.last_seen,
+                       previous.status AS previous_status`,
+            params
+        );
+
+        if (result.rows.length === 0) return null;
+
+        const { previous_status: previousStatus, ...device } = result.rows[0];
+        if (previousStatus !== 'online') {
+            await notify(device, 'online');
+        }
+        return device;
+    }
+
+    // Mark every online device that has not been seen within the timeout offline
+    async function sweep() {
+        const result = await pool.query(
+            `UPDATE devices SET status = 'offline'
+             WHERE status = 'online'
+               AND (last_seen IS NULL OR last_seen < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond')
+             RETURNING id, user_id, home_id, name, last_seen`,
+            [OFFLINE_TIMEOUT_MS]
+        );
+
+        for (const device of result.rows) {
+            await notify(device, 'offline');
+        }
+        return result.rows;
+    }
+
+    return {
+        seen,
+        sweep,
+        start() {
+            if (!timer) {
+                timer = setInterval(() => {
+                    sweep().catch(error => console.error('Presence sweep error:', error));
+                }, SWEEP_INTERVAL_MS);
+                console.log(`Presence sweeper started (offline after ${OFFLINE_TIMEOUT_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    OFFLINE_TIMEOUT_MS,
+    createPresence
+};
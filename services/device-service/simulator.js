@@ -0,0 +1,73 @@
+// Simulated devices, for development without hardware (DEVICE_SIMULATOR=true).
+//
+// Stands in for every device: commands sent on the device.control exchange are
+// answered on device.status as delivered and then applied with the commanded
+// state, and every device sends a heartbeat each DEVICE_SIMULATOR_HEARTBEAT_MS.
+// Leave it off when real devices are connected, or commands are applied twice.
+
+const { createEvent, flattenEvent, readEvent } = require('@smart-home/events');
+
+const SOURCE = 'device-simulator';
+const SIMULATOR_QUEUE = 'device.simulator';
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.DEVICE_SIMULATOR_HEARTBEAT_MS || '60000', 10);
+
+function createSimulator({ pool, getChannel }) {
+    let timer = null;
+
+    function publishStatus(command, status, extra = {}) {
+        const event = createEvent('device.status', {
+            source: SOURCE,
+            userId: command.userId,
+            homeId: command.homeId,
+            payload: { commandId: command.commandId, deviceId: command.deviceId, status, ...extra }
+        });
+        getChannel().publish('device.status', '', Buffer.from(JSON.stringify(event)), { persistent: true });
+    }
+
+    async function heartbeat() {
+        const result = await pool.query('SELECT id FROM devices');
+        for (const { id } of result.rows) {
+            const event = createEvent('device.heartbeat', { source: SOURCE, payload: { deviceId: id } });
+            getChannel().sendToQueue('device.heartbeat', Buffer.from(JSON.stringify(event)), { persistent: true });
+        }
+    }
+
+    // Answer every command on a (new) channel
+    async function listen(channel) {
+        await channel.assertQueue(SIMULATOR_QUEUE, { durable: true });
+        await channel.bindQueue(SIMULATOR_QUEUE, 'device.control', 'device.*');
+
+        await channel.consume(SIMULATOR_QUEUE, (msg) => {
+            if (!msg) return;
+
+            try {
+                const command = flattenEvent(readEvent(msg.content));
+                publishStatus(command, 'delivered');
+                publishStatus(command, 'applied', { state: command.state });
+            } catch (error) {
+                console.error('Device simulator error:', error.message);
+            }
+            channel.ack(msg);
+        });
+
+        if (!timer) {
+            timer = setInterval(() => {
+                heartbeat().catch(error => console.error('Device simulator heartbeat error:', error));
+            }, HEARTBEAT_INTERVAL_MS);
+            heartbeat().catch(error => console.error('Device simulator heartbeat error:', error));
+            console.log(`Device simulator started (heartbeat every ${HEARTBEAT_INTERVAL_MS}ms)`);
+        }
+    }
+
+    return {
+        listen,
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    createSimulator
+};
@@ -0,0 +1,65 @@
+// Per-user sequence numbers and a bounded replay backlog for WebSocket resume.
+//
+// Every user notification gets the next number from replay:{userId}:seq and a
+// copy is kept in the replay:{userId} sorted set, scored by that number. A
+// reconnecting client sends { type: 'resume', lastSeq } and gets everything
+// after lastSeq replayed. Only the last WS_REPLAY_LIMIT notifications are kept
+// (for WS_REPLAY_TTL_SECONDS); when the gap is larger the resume is reported
+// as incomplete and the client reloads from the inbox instead.
+
+const REPLAY_LIMIT = parseInt(process.env.WS_REPLAY_LIMIT || '100', 10);
+const REPLAY_TTL_SECONDS = parseInt(process.env.WS_REPLAY_TTL_SECONDS || '86400', 10);
+
+function keys(userId) {
+    // The counter never expires, so sequence numbers do not restart for a user
+    return { entries: `replay:${userId}`, seq: `replay:${userId}:seq` };
+}
+
+function createBacklog(redisClient) {
+    // Return the notification with its sequence number, after keeping a copy for replay
+    async function append(notification) {
+        const key = keys(notification.userId);
+        const seq = await redisClient.incr(key.seq);
+        const sequenced = { ...notification, seq };
+
+        await redisClient.multi()
+            .zAdd(key.entries, { score: seq, value: JSON.stringify(sequenced) })
+            .zRemRangeByRank(key.entries, 0, -(REPLAY_LIMIT + 1))
+            .expire(key.entries, REPLAY_TTL_SECONDS)
+            .exec();
+
+        return sequenced;
+    }
+
+    // Latest sequence number handed out for the user, 0 before the first notification
+    async function current(userId) {
+        return Number(await redisClient.get(keys(userId).seq)) || 0;
+    }
+
+    // Notifications after lastSeq; complete is false when some of them are no longer kept
+    async function since(userId, lastSeq) {
+        const key = keys(userId);
+        const [seq, entries] = await Promise.all([
+            current(userId),
+            redisClient.zRange(key.entries, `(${lastSeq}`, '+inf', { BY: 'SCORE' })
+        ]);
+
+        const notifications = entries.map(entry => JSON.parse(entry));
+
+        return {
+            notifications,
+            seq,
+            complete: lastSeq <= seq && notifications.length === seq - lastSeq
+        };
+    }
+
+    return {
+        append,
+        current,
+        since
+    };
+}
+
+module.exports = {
+    createBacklog
+};
@@ -0,0 +1,265 @@
+// Outbound notification channels.
+//
+// Besides the WebSocket push, a user can register channels in their
+// preferences (`channels`), each with its own filter:
+//   { id, type: 'email',   enabled, minSeverity, types, config: { to } }
+//   { id, type: 'webhook', enabled, minSeverity, types, config: { url, secret } }
+//
+// A channel type implements:
+//   validate(config, account)   -> error message or null
+//   prepare(config, account)    -> config with generated fields filled in (optional)
+//   describe(config)            -> short human readable target for the delivery log
+//   send(notification, config)  -> resolves when delivered, throws a ChannelError otherwise
+//
+// `account` is the user saving the channel, { email } from their token. Email only
+// goes to that address, since nobody has confirmed any other. Webhooks may not
+// point into the private network (see checkWebhookHost).
+//
+// Retries are up to the delivery queue (deliveries.js); a ChannelError with
+// retryable: false fails the delivery right away.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const nodemailer = require('nodemailer');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+// Plain http webhooks are only for testing against a public host; never set it in production
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+const SMTP_FROM = process.env.SMTP_FROM || 'Smart Home <notifications@smarthome.local>';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ChannelError extends Error {
+    constructor(message, { retryable = true, statusCode } = {}) {
+        super(message);
+        this.name = 'ChannelError';
+        this.retryable = retryable;
+        this.statusCode = statusCode;
+    }
+}
+
+function createEmailChannel() {
+    const transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        validate(config, account = {}) {
+            if (!account.email) {
+                return 'config.to cannot be set: the account has no email address';
+            }
+            if (config !== undefined && (!config || typeof config !== 'object')) {
+                return 'config must be an object';
+            }
+            const to = config && config.to;
+            if (to !== undefined && (!EMAIL_REGEX.test(to) || to.toLowerCase() !== account.email.toLowerCase())) {
+                return 'config.to must be your account email address';
+            }
+            return null;
+        },
+
+        // Left out, the address is the account's own
+        prepare(config, account) {
+            return { ...config, to: account.email };
+        },
+
+        describe(config) {
+            return config.to;
+        },
+
+        async send(notification, config) {
+            try {
+                await transport.sendMail({
+                    from: SMTP_FROM,
+                    to: config.to,
+                    subject: `[Smart Home] ${notification.message}`,
+                    text: [
+                        notification.message,
+                        '',
+                        `Type: ${notification.type}`,
+                        `Severity: ${notification.severity || 'info'}`,
+                        `Time: ${notification.timestamp}`
+                    ].join('\n')
+                });
+            } catch (error) {
+                // Permanent SMTP errors (5xx) will not succeed on a retry
+                throw new ChannelError(error.message, { retryable: !(error.responseCode >= 500) });
+            }
+        }
+    };
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Smart-Home-Signature: sha256=<hex>.
+// Receivers should recompute it with the channel secret and reject old timestamps.
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Names that only resolve inside the deployment: single labels such as the compose
+// service names (device-service, redis), localhost and the usual internal suffixes
+function isInternalName(hostname) {
+    return !hostname.includes('.') || /(^|\.)(localhost|local|internal|lan|home\.arpa)$/i.test(hostname);
+}
+
+// Returns an error message, or null when the host is a public name or address. Only
+// literal addresses can be checked on save; names are resolved before every send.
+function checkWebhookHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+        return isPrivateAddress(host) ? 'config.url must not point to a private or loopback address' : null;
+    }
+    return isInternalName(host) ? 'config.url must use a public host name' : null;
+}
+
+// Resolve the webhook host and refuse to send when any of its addresses is private
+async function resolveWebhookHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new ChannelError(`${host} resolves to a private address`, { retryable: false });
+    }
+}
+
+function createWebhookChannel() {
+    return {
+        validate(config) {
+            let url;
+            try {
+                url = new URL(config && config.url);
+            } catch (error) {
+                return 'config.url must be a valid URL';
+            }
+            if (url.protocol !== 'https:' && !(WEBHOOK_ALLOW_HTTP && url.protocol === 'http:')) {
+                return 'config.url must use https';
+            }
+            const hostError = checkWebhookHost(url.hostname);
+            if (hostError) return hostError;
+            if (config.secret !== undefined && (typeof config.secret !== 'string' || config.secret.length < 16)) {
+                return 'config.secret must be a string of at least 16 characters';
+            }
+            return null;
+        },
+
+        // Generate the signing secret when the user did not pick one
+        prepare(config) {
+            return config.secret ? config : { ...config, secret: crypto.randomBytes(32).toString('hex') };
+        },
+
+        describe(config) {
+            return config.url;
+        },
+
+        async send(notification, config) {
+            const body = JSON.stringify(notification);
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+
+            // Checked again on every send, as the name may have been pointed elsewhere since it was saved
+            const url = new URL(config.url);
+            const hostError = checkWebhookHost(url.hostname);
+            if (hostError) {
+                throw new ChannelError(hostError, { retryable: false });
+            }
+            try {
+                await resolveWebhookHost(url.hostname);
+            } catch (error) {
+                if (error instanceof ChannelError) throw error;
+                throw new ChannelError(`Could not resolve ${url.hostname}: ${error.message}`);
+            }
+
+            let response;
+            try {
+                response = await fetch(config.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Smart-Home-Event': notification.type,
+                        'X-Smart-Home-Timestamp': timestamp,
+                        'X-Smart-Home-Signature': `sha256=${signPayload(config.secret, timestamp, body)}`
+                    },
+                    body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+            } catch (error) {
+                throw new ChannelError(error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message);
+            }
+
+            if (!response.ok) {
+                // Client errors other than timeouts and rate limits will fail the same way again
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                throw new ChannelError(`Webhook responded with ${response.status}`, { retryable, statusCode: response.status });
+            }
+
+            return { statusCode: response.status };
+        }
+    };
+}
+
+// Channel implementations by type
+const CHANNEL_TYPES = {
+    email: createEmailChannel(),
+    webhook: createWebhookChannel()
+};
+
+// Returns an error message, or null when the channel can be saved by the account
+function validateChannel(channel, path, account) {
+    if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+        return `${path} must be an object`;
+    }
+    if (!CHANNEL_TYPES[channel.type]) {
+        return `${path}.type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`;
+    }
+    if (channel.enabled !== undefined && typeof channel.enabled !== 'boolean') {
+        return `${path}.enabled must be a boolean`;
+    }
+    if (channel.types !== undefined && (!Array.isArray(channel.types) || channel.types.some(type => typeof type !== 'string'))) {
+        return `${path}.types must be a list of notification types`;
+    }
+
+    const error = CHANNEL_TYPES[channel.type].validate(channel.config, account);
+    return error ? `${path}.${error}` : null;
+}
+
+// Give a channel an id and whatever its type generates, e.g. a webhook secret
+function prepareChannel(channel, account) {
+    const implementation = CHANNEL_TYPES[channel.type];
+    return {
+        ...channel,
+        id: channel.id || crypto.randomUUID(),
+        enabled: channel.enabled !== false,
+        config: implementation.prepare ? implementation.prepare(channel.config, account) : channel.config
+    };
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    ChannelError,
+    prepareChannel,
+    signPayload,
+    validateChannel
+};
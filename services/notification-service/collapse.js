@@ -0,0 +1,102 @@
+// Collapsing of repeated notifications.
+//
+// Notifications with the same collapse key within its window update one inbox
+// entry instead of piling up, e.g. "12 motion events on Kitchen Camera in the
+// last 5 minutes". The key is the type and severity plus the sender's
+// `collapseKey` or, for the types in COLLAPSE_WINDOWS, the device the
+// notification is about, which rate limits per user, type and source. Only the
+// first notification of a window goes to email and webhook channels; later ones
+// rewrite the entry in place (same inbox id, with `count` and `collapsed: true`)
+// and are pushed to open sockets as an update. Severity is part of the key so a
+// warning (e.g. a failed command) is never folded into an earlier info entry
+// and still reaches the channels.
+//
+// State per user and key lives in the hash collapse:{userId}:{key} (count,
+// firstAt, inboxId), which expires when the window ends.
+
+const { deviceIdOf, severityOf } = require('./preferences');
+
+// Seconds a repeat is folded into the first notification, by type
+const COLLAPSE_WINDOWS = {
+    'motion.detected': 300,
+    'device.status': 60,
+    'device.state_changed': 60,
+    'automation.executed': 60
+};
+const DEFAULT_COLLAPSE_SECONDS = 300;
+
+function collapseKeyOf(notification) {
+    const prefix = `${notification.type}:${severityOf(notification)}`;
+    if (notification.collapseKey) {
+        return `${prefix}:${notification.collapseKey}`;
+    }
+
+    const deviceId = deviceIdOf(notification);
+    if (COLLAPSE_WINDOWS[notification.type] && deviceId !== undefined) {
+        return `${prefix}:${deviceId}`;
+    }
+    return null;
+}
+
+function collapsedMessage(notification, count, firstAt) {
+    const minutes = Math.max(1, Math.ceil((Date.now() - new Date(firstAt).getTime()) / 60000));
+    const period = minutes === 1 ? 'the last minute' : `the last ${minutes} minutes`;
+
+    if (notification.type === 'motion.detected') {
+        const data = notification.data || {};
+        return `🚨 ${count} motion events on ${data.deviceName || 'camera'} in ${period}`;
+    }
+    return `${notification.message} (${count} times in ${period})`;
+}
+
+function createCollapser(redisClient) {
+    // { action: 'new' }, { action: 'new', key, seconds } for the first of a window, or
+    // { action: 'update', count, firstAt, inboxId } for a repeat. A repeat whose window has
+    // no inbox entry (the first is not stored yet, or storing it failed) is stored as new,
+    // and repeats after it update that one instead
+    async function check(notification) {
+        const collapseKey = collapseKeyOf(notification);
+        if (!collapseKey) {
+            return { action: 'new' };
+        }
+
+        const key = `collapse:${notification.userId}:${collapseKey}`;
+        const seconds = Number(notification.collapseSeconds) || COLLAPSE_WINDOWS[notification.type] || DEFAULT_COLLAPSE_SECONDS;
+
+        const [count] = await redisClient.multi()
+            .hIncrBy(key, 'count', 1)
+            .hSetNX(key, 'firstAt', new Date().toISOString())
+            .expire(key, seconds, 'NX')
+            .exec();
+
+        if (count === 1) {
+            return { action: 'new', key, seconds };
+        }
+
+        const state = await redisClient.hGetAll(key);
+        if (!state.inboxId) {
+            return { action: 'new', key, seconds };
+        }
+
+        return { action: 'update', key, seconds, count, firstAt: state.firstAt, inboxId: state.inboxId };
+    }
+
+    // Point the window at the inbox entry that repeats should update
+    async function remember(key, seconds, inboxId) {
+        await redisClient.multi()
+            .hSet(key, 'inboxId', inboxId)
+            .expire(key, seconds, 'NX')
+            .exec();
+    }
+
+    return {
+        check,
+        remember
+    };
+}
+
+module.exports = {
+    COLLAPSE_WINDOWS,
+    collapsedMessage,
+    createCollapser
+};
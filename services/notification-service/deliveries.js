@@ -0,0 +1,179 @@
+// Delivery of notifications to a user's channels, with retries and a delivery log.
+//
+// Each (notification, channel) pair is a delivery record in Redis:
+//   delivery:{id}          JSON record with status and every attempt
+//   deliveries:{userId}    sorted set of the user's delivery ids by creation time
+//   deliveries:due         sorted set of delivery ids by next attempt time
+// A replica claims a due delivery by removing it from deliveries:due, so only
+// one of them sends it, and puts it back with a lease before sending so a crash
+// mid-attempt is retried. Failed attempts back off exponentially until
+// CHANNEL_MAX_ATTEMPTS; a non-retryable error (e.g. a webhook 404) fails at once.
+//
+// Statuses: pending -> delivered, or retrying -> ... -> delivered / failed
+
+const crypto = require('crypto');
+
+const MAX_ATTEMPTS = parseInt(process.env.CHANNEL_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.CHANNEL_RETRY_BASE_MS || '5000', 10);
+const DELIVERY_INTERVAL_MS = parseInt(process.env.DELIVERY_INTERVAL_MS || '5000', 10);
+const DELIVERY_LOG_DAYS = parseInt(process.env.DELIVERY_LOG_DAYS || '7', 10);
+// A claimed delivery is attempted again after this long if the replica sending it dies
+const CLAIM_LEASE_MS = 60000;
+const LOG_LIMIT = 200;
+const DUE_KEY = 'deliveries:due';
+
+function createDeliveryQueue({ redisClient, channels, isReady }) {
+    let timer = null;
+    let running = false;
+
+    const recordKey = (id) => `delivery:${id}`;
+    const logTtl = DELIVERY_LOG_DAYS * 24 * 60 * 60;
+
+    async function save(record) {
+        await redisClient.set(recordKey(record.id), JSON.stringify(record), { EX: logTtl });
+    }
+
+    async function load(id) {
+        const stored = await redisClient.get(recordKey(id));
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async function attempt(record) {
+        const channel = channels[record.channel.type];
+        const startedAt = new Date();
+
+        try {
+            await channel.send(record.notification, record.channel.config);
+
+            record.attempts.push({ at: startedAt.toISOString(), ok: true });
+            record.status = 'delivered';
+            record.nextAttemptAt = null;
+        } catch (error) {
+            record.attempts.push({
+                at: startedAt.toISOString(),
+                ok: false,
+                error: error.message,
+                statusCode: error.statusCode
+            });
+
+            const retryable = error.retryable !== false && record.attempts.length < MAX_ATTEMPTS;
+            record.status = retryable ? 'retrying' : 'failed';
+            record.nextAttemptAt = retryable
+                ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (record.attempts.length - 1)).toISOString()
+                : null;
+        }
+
+        record.updatedAt = new Date().toISOString();
+        await save(record);
+
+        if (record.nextAttemptAt) {
+            await redisClient.zAdd(DUE_KEY, { score: new Date(record.nextAttemptAt).getTime(), value: record.id });
+        } else {
+            await redisClient.zRem(DUE_KEY, record.id);
+        }
+
+        return record;
+    }
+
+    // Create a delivery record per channel and make the first attempt in the background
+    async function enqueue(notification, userChannels) {
+        for (const channel of userChannels) {
+            const now = new Date();
+            const record = {
+                id: crypto.randomUUID(),
+                userId: String(notification.userId),
+                channel: { id: channel.id, type: channel.type, config: channel.config },
+                target: channels[channel.type].describe(channel.config),
+                notification,
+                status: 'pending',
+                attempts: [],
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                nextAttemptAt: null
+            };
+
+            const logKey = `deliveries:${record.userId}`;
+            await save(record);
+            await redisClient.multi()
+                .zAdd(logKey, { score: now.getTime(), value: record.id })
+                .zRemRangeByRank(logKey, 0, -(LOG_LIMIT + 1))
+                .expire(logKey, logTtl)
+                .zAdd(DUE_KEY, { score: now.getTime() + CLAIM_LEASE_MS, value: record.id })
+                .exec();
+
+            attempt(record).catch(error => console.error(`Error delivering ${record.id}:`, error));
+        }
+    }
+
+    // The user's deliveries, newest first, without channel secrets
+    async function list(userId, page, limit) {
+        const logKey = `deliveries:${userId}`;
+        const start = (page - 1) * limit;
+
+        const [total, ids] = await Promise.all([
+            redisClient.zCard(logKey),
+            redisClient.zRange(logKey, start, start + limit - 1, { REV: true })
+        ]);
+
+        const records = await Promise.all(ids.map(load));
+
+        return {
+            total,
+            deliveries: records.filter(Boolean).map(({ channel, ...record }) => ({
+                ...record,
+                channel: { id: channel.id, type: channel.type }
+            }))
+        };
+    }
+
+    async function tick() {
+        if (running || !isReady()) {
+            return;
+        }
+
+        running = true;
+        try {
+            const now = Date.now();
+            const due = await redisClient.zRange(DUE_KEY, 0, now, { BY: 'SCORE', LIMIT: { offset: 0, count: 50 } });
+
+            for (const id of due) {
+                try {
+                    // Whoever removes it first owns this attempt
+                    if (await redisClient.zRem(DUE_KEY, id) !== 1) continue;
+
+                    const record = await load(id);
+                    if (!record || record.status === 'delivered' || record.status === 'failed') continue;
+
+                    await redisClient.zAdd(DUE_KEY, { score: Date.now() + CLAIM_LEASE_MS, value: id });
+                    await attempt(record);
+                } catch (error) {
+                    console.error(`Error retrying delivery ${id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Delivery tick error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        enqueue,
+        list,
+        start() {
+            if (!timer) {
+                timer = setInterval(tick, DELIVERY_INTERVAL_MS);
+                console.log(`Channel delivery retries started (interval ${DELIVERY_INTERVAL_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    createDeliveryQueue
+};
@@ -0,0 +1,129 @@
+// Digests of low-priority notifications.
+//
+// Types listed in a user's `digest` preference are not delivered one by one.
+// They are counted per type in digest:{userId}:counts, with the latest few kept
+// in digest:{userId}:items, and the first one schedules the digest one period
+// (hourly or daily) later in digests:due. When it is due, the replica that
+// removes the user from digests:due sends a single notification.digest summary
+// through the normal delivery path, so preferences, quiet hours and channels
+// apply to it like any other notification.
+
+const DIGEST_PERIODS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+const DIGEST_INTERVAL_MS = parseInt(process.env.DIGEST_INTERVAL_MS || '60000', 10);
+const DIGEST_ITEMS = 20;
+const DUE_KEY = 'digests:due';
+
+function keys(userId) {
+    const base = `digest:${userId}`;
+    return { counts: `${base}:counts`, items: `${base}:items`, since: `${base}:since` };
+}
+
+function buildDigest(userId, counts, items, since) {
+    const entries = Object.entries(counts)
+        .map(([type, count]) => [type, Number(count)])
+        .sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+
+    return {
+        type: 'notification.digest',
+        userId,
+        severity: 'info',
+        message: `📰 Digest: ${total} notification${total === 1 ? '' : 's'} (${entries.map(([type, count]) => `${count} ${type}`).join(', ')})`,
+        data: {
+            counts: Object.fromEntries(entries),
+            total,
+            items: items.map(item => JSON.parse(item)),
+            since,
+            until: new Date().toISOString()
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+function createDigest({ redisClient, isReady, send }) {
+    let timer = null;
+    let running = false;
+
+    // Collect a notification into the user's next digest
+    async function add(notification, frequency) {
+        const userId = String(notification.userId);
+        const key = keys(userId);
+        const period = DIGEST_PERIODS[frequency] || DIGEST_PERIODS.hourly;
+        // Kept a little past the period in case the digest is never sent
+        const ttl = Math.ceil((period * 2) / 1000);
+
+        await redisClient.multi()
+            .hIncrBy(key.counts, notification.type, 1)
+            .lPush(key.items, JSON.stringify({
+                type: notification.type,
+                message: notification.message,
+                timestamp: notification.timestamp
+            }))
+            .lTrim(key.items, 0, DIGEST_ITEMS - 1)
+            .set(key.since, notification.timestamp || new Date().toISOString(), { NX: true })
+            .expire(key.counts, ttl)
+            .expire(key.items, ttl)
+            .expire(key.since, ttl)
+            .zAdd(DUE_KEY, { score: Date.now() + period, value: userId }, { NX: true })
+            .exec();
+    }
+
+    async function tick() {
+        if (running || !isReady()) {
+            return;
+        }
+
+        running = true;
+        try {
+            const due = await redisClient.zRange(DUE_KEY, 0, Date.now(), { BY: 'SCORE', LIMIT: { offset: 0, count: 100 } });
+
+            for (const userId of due) {
+                try {
+                    // Whoever removes it first sends this digest
+                    if (await redisClient.zRem(DUE_KEY, userId) !== 1) continue;
+
+                    const key = keys(userId);
+                    const [counts, items, since] = await redisClient.multi()
+                        .hGetAll(key.counts)
+                        .lRange(key.items, 0, -1)
+                        .get(key.since)
+                        .del([key.counts, key.items, key.since])
+                        .exec();
+
+                    if (Object.keys(counts).length === 0) continue;
+
+                    await send(buildDigest(userId, counts, items, since));
+                } catch (error) {
+                    console.error(`Error sending digest for user ${userId}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Digest tick error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        add,
+        start() {
+            if (!timer) {
+                timer = setInterval(tick, DIGEST_INTERVAL_MS);
+                console.log(`Notification digests started (interval ${DIGEST_INTERVAL_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    DIGEST_PERIODS,
+    createDigest
+};
@@ -0,0 +1,98 @@
+// Notifications held during quiet hours.
+//
+// A held notification is kept in the inbox with held: true, but is not pushed
+// to sockets or sent to channels. Its inbox id is queued in held:{userId} and
+// the user added to held:users. Every QUIET_HOURS_RELEASE_INTERVAL_MS the
+// users whose quiet hours are over get their queue released in order: the
+// replica that empties the queue passes each id to `release`, which pushes the
+// notification and hands it to the user's channels. Ids whose release fails
+// are queued again for the next tick.
+
+const RELEASE_INTERVAL_MS = parseInt(process.env.QUIET_HOURS_RELEASE_INTERVAL_MS || '60000', 10);
+const USERS_KEY = 'held:users';
+
+function queueKey(userId) {
+    return `held:${userId}`;
+}
+
+function createHeldQueue({ redisClient, isReady, isQuiet, release }) {
+    let timer = null;
+    let running = false;
+
+    // Queue a held notification (by inbox id) for release when quiet hours end
+    async function add(notification) {
+        const userId = String(notification.userId);
+
+        await redisClient.multi()
+            .rPush(queueKey(userId), notification.id)
+            .sAdd(USERS_KEY, userId)
+            .exec();
+    }
+
+    async function releaseUser(userId) {
+        // Whoever empties the queue releases it
+        const [ids] = await redisClient.multi()
+            .lRange(queueKey(userId), 0, -1)
+            .del(queueKey(userId))
+            .sRem(USERS_KEY, userId)
+            .exec();
+
+        const failed = [];
+        for (const id of ids) {
+            try {
+                await release(userId, id);
+            } catch (error) {
+                console.error(`Error releasing held notification ${id} for user ${userId}:`, error);
+                failed.push(id);
+            }
+        }
+
+        if (failed.length > 0) {
+            await redisClient.multi()
+                .lPush(queueKey(userId), failed.reverse())
+                .sAdd(USERS_KEY, userId)
+                .exec();
+        }
+    }
+
+    async function tick() {
+        if (running || !isReady()) {
+            return;
+        }
+
+        running = true;
+        try {
+            for (const userId of await redisClient.sMembers(USERS_KEY)) {
+                try {
+                    if (await isQuiet(userId)) continue;
+                    await releaseUser(userId);
+                } catch (error) {
+                    console.error(`Error releasing held notifications for user ${userId}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Held notification tick error:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        add,
+        start() {
+            if (!timer) {
+                timer = setInterval(tick, RELEASE_INTERVAL_MS);
+                console.log(`Quiet hours release started (interval ${RELEASE_INTERVAL_MS}ms)`);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    createHeldQueue
+};
@@ -0,0 +1,164 @@
+// Persistent per-user notification inbox in Redis.
+//
+// Every user notification built by the RabbitMQ/Kafka handlers or POST /api/notify
+// is stored before it is pushed over the WebSocket, so notifications sent while
+// the user was offline are still there when the app loads. Per user:
+//   inbox:{userId}         sorted set of notification ids, scored by time
+//   inbox:{userId}:items   hash of id -> notification JSON
+//   inbox:{userId}:unread  set of unread ids
+// Only the newest INBOX_LIMIT notifications are kept, and an inbox nobody has
+// written to for INBOX_RETENTION_DAYS expires. Broadcasts are not stored.
+
+const crypto = require('crypto');
+
+const INBOX_LIMIT = parseInt(process.env.NOTIFICATION_INBOX_LIMIT || '200', 10);
+const INBOX_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '30', 10);
+
+function keys(userId) {
+    const base = `inbox:${userId}`;
+    return { ids: base, items: `${base}:items`, unread: `${base}:unread` };
+}
+
+function createInbox(redisClient) {
+    // Store the notification and return it with its inbox id and read flag
+    async function add(notification) {
+        const key = keys(notification.userId);
+        const stored = { ...notification, id: crypto.randomUUID(), read: false };
+        const score = new Date(stored.timestamp || Date.now()).getTime();
+        const ttl = INBOX_RETENTION_DAYS * 24 * 60 * 60;
+
+        await redisClient.multi()
+            .zAdd(key.ids, { score, value: stored.id })
+            .hSet(key.items, stored.id, JSON.stringify(stored))
+            .sAdd(key.unread, stored.id)
+            .expire(key.ids, ttl)
+            .expire(key.items, ttl)
+            .expire(key.unread, ttl)
+            .exec();
+
+        // Drop the oldest notifications beyond the limit
+        const overflow = await redisClient.zRange(key.ids, 0, -(INBOX_LIMIT + 1));
+        if (overflow.length > 0) {
+            await redisClient.multi()
+                .zRem(key.ids, overflow)
+                .hDel(key.items, overflow)
+                .sRem(key.unread, overflow)
+                .exec();
+        }
+
+        return stored;
+    }
+
+    // Rewrite a stored notification (e.g. a collapsed repeat), move it to the top and
+    // mark it unread again. Returns { notification, reopened } where reopened says it
+    // had been read, or null when it is no longer in the inbox
+    async function update(userId, id, changes) {
+        const key = keys(userId);
+        const stored = await redisClient.hGet(key.items, id);
+        if (!stored) {
+            return null;
+        }
+
+        const updated = { ...JSON.parse(stored), ...changes, id, read: false };
+        const score = new Date(updated.timestamp || Date.now()).getTime();
+
+        const [, , added] = await redisClient.multi()
+            .zAdd(key.ids, { score, value: id })
+            .hSet(key.items, id, JSON.stringify(updated))
+            .sAdd(key.unread, id)
+            .exec();
+
+        return { notification: updated, reopened: added === 1 };
+    }
+
+    // Clear the held flag of a notification held during quiet hours. Returns it, or null
+    // when it is no longer in the inbox or not held (e.g. released already)
+    async function unhold(userId, id) {
+        const key = keys(userId);
+        const stored = await redisClient.hGet(key.items, id);
+        if (!stored) {
+            return null;
+        }
+
+        const { held, ...notification } = JSON.parse(stored);
+        if (!held) {
+            return null;
+        }
+
+        await redisClient.hSet(key.items, id, JSON.stringify(notification));
+        return notification;
+    }
+
+    // Newest first; page is 1-based
+    async function list(userId, page, limit) {
+        const key = keys(userId);
+        const start = (page - 1) * limit;
+
+        const [total, unreadCount, ids] = await Promise.all([
+            redisClient.zCard(key.ids),
+            redisClient.sCard(key.unread),
+            redisClient.zRange(key.ids, start, start + limit - 1, { REV: true })
+        ]);
+
+        if (ids.length === 0) {
+            return { notifications: [], total, unreadCount };
+        }
+
+        const [items, unread] = await Promise.all([
+            redisClient.hmGet(key.items, ids),
+            redisClient.smIsMember(key.unread, ids)
+        ]);
+
+        const notifications = items
+            .map((item, i) => item && { ...JSON.parse(item), read: !unread[i] })
+            .filter(Boolean);
+
+        return { notifications, total, unreadCount };
+    }
+
+    // Returns false when the user has no such notification
+    async function markRead(userId, id) {
+        const key = keys(userId);
+        if (await redisClient.zScore(key.ids, id) === null) {
+            return false;
+        }
+
+        await redisClient.sRem(key.unread, id);
+        return true;
+    }
+
+    // Returns how many notifications were unread
+    async function markAllRead(userId) {
+        const key = keys(userId);
+        const [count] = await redisClient.multi()
+            .sCard(key.unread)
+            .del(key.unread)
+            .exec();
+        return count;
+    }
+
+    // Returns false when the user has no such notification
+    async function remove(userId, id) {
+        const key = keys(userId);
+        const [removed] = await redisClient.multi()
+            .zRem(key.ids, id)
+            .hDel(key.items, id)
+            .sRem(key.unread, id)
+            .exec();
+        return removed > 0;
+    }
+
+    return {
+        add,
+        list,
+        markAllRead,
+        markRead,
+        remove,
+        unhold,
+        update
+    };
+}
+
+module.exports = {
+    createInbox
+};
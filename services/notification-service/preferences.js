@@ -0,0 +1,313 @@
+// Per-user notification preferences.
+//
+//   {
+//     "minSeverity": "info",
+//     "types":   { "device.state_changed": { "enabled": false } },
+//     "devices": { "3": { "minSeverity": "warning" } },
+//     "rooms":   { "Garage": { "enabled": false } },
+//     "quietHours": { "enabled": true, "start": "22:00", "end": "07:00", "timezone": "Europe/Berlin" },
+//     "channels": [{ "type": "email", "minSeverity": "critical" }],
+//     "digest": { "enabled": true, "frequency": "hourly", "types": ["device.state_changed"] }
+//   }
+//
+// Every rule that applies to a notification (global, its type, its device and
+// that device's room) must let it through: a rule with enabled: false mutes it,
+// and so does a minSeverity above the notification's severity. Muted
+// notifications are dropped. During quiet hours everything else is held: it is
+// kept in the inbox but not pushed to open sockets or sent to channels until
+// the quiet hours end (see held.js). Notifications of a type in
+// an enabled digest are collected and sent as one summary (see digest.js).
+//
+// Critical notifications (security.alert) are never held or digested, and only turning off
+// their type mutes them; device, room and severity rules do not apply to them.
+//
+// Delivered notifications also go to every enabled channel (see channels.js)
+// whose minSeverity (default warning) and optional list of types match.
+
+const { prepareChannel, validateChannel } = require('./channels');
+const { DIGEST_PERIODS } = require('./digest');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_CHANNEL_SEVERITY = 'warning';
+const MAX_CHANNELS = 10;
+
+// Known notification types and their default severity
+const NOTIFICATION_TYPES = {
+    'device.state_changed': 'info',
+    'device.status': 'info',
+    'device.added': 'info',
+    'device.removed': 'info',
+    'device.online': 'info',
+    'device.offline': 'warning',
+    'motion.detected': 'warning',
+    'security.alert': 'critical',
+    'automation.executed': 'info',
+    'automation.created': 'info',
+    'automation.loop_blocked': 'warning',
+    'scene.activated': 'info',
+    'notification.digest': 'info',
+    'custom': 'info'
+};
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_PREFERENCES = {
+    minSeverity: 'info',
+    types: {},
+    devices: {},
+    rooms: {},
+    quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' },
+    channels: [],
+    digest: { enabled: false, frequency: 'hourly', types: [] }
+};
+
+function severityOf(notification) {
+    if (SEVERITIES.includes(notification.severity)) return notification.severity;
+    return NOTIFICATION_TYPES[notification.type] || 'info';
+}
+
+// The device a notification is about, if any
+function deviceIdOf(notification) {
+    const data = notification.data || {};
+    if (data.deviceId !== undefined) return data.deviceId;
+    if (data.device && data.device.id !== undefined) return data.device.id;
+    if (data.cameraId !== undefined) return data.cameraId;
+    return undefined;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateRule(rule, path) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return `${path} must be an object`;
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        return `${path}.enabled must be a boolean`;
+    }
+    if (rule.minSeverity !== undefined && !SEVERITIES.includes(rule.minSeverity)) {
+        return `${path}.minSeverity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+    return null;
+}
+
+// Returns an error message, or null when the preferences are valid for the account ({ email })
+function validatePreferences(preferences, account) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return 'Preferences must be an object';
+    }
+
+    if (preferences.minSeverity !== undefined && !SEVERITIES.includes(preferences.minSeverity)) {
+        return `minSeverity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+
+    for (const scope of ['types', 'devices', 'rooms']) {
+        const rules = preferences[scope];
+        if (rules === undefined) continue;
+
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return `${scope} must be an object`;
+        }
+        for (const key of Object.keys(rules)) {
+            if (scope === 'devices' && !/^\d+$/.test(key)) {
+                return `devices keys must be device ids, got "${key}"`;
+            }
+            const error = validateRule(rules[key], `${scope}.${key}`);
+            if (error) return error;
+        }
+    }
+
+    const quietHours = preferences.quietHours;
+    if (quietHours !== undefined) {
+        if (!quietHours || typeof quietHours !== 'object') {
+            return 'quietHours must be an object';
+        }
+        if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') {
+            return 'quietHours.enabled must be a boolean';
+        }
+        for (const field of ['start', 'end']) {
+            if (quietHours[field] !== undefined && !TIME_REGEX.test(quietHours[field])) {
+                return `quietHours.${field} must be HH:MM`;
+            }
+        }
+        // Checked with the defaults filled in, as a lone end equal to the default start
+        // would make every hour quiet
+        const { start, end } = { ...DEFAULT_PREFERENCES.quietHours, ...quietHours };
+        if (start === end) {
+            return 'quietHours.start and quietHours.end must differ';
+        }
+        if (quietHours.timezone !== undefined && !isValidTimeZone(quietHours.timezone)) {
+            return `Unknown timezone "${quietHours.timezone}"`;
+        }
+    }
+
+    const channels = preferences.channels;
+    if (channels !== undefined) {
+        if (!Array.isArray(channels)) {
+            return 'channels must be a list';
+        }
+        if (channels.length > MAX_CHANNELS) {
+            return `At most ${MAX_CHANNELS} channels are allowed`;
+        }
+        for (let i = 0; i < channels.length; i++) {
+            const error = validateChannel(channels[i], `channels[${i}]`, account);
+            if (error) return error;
+
+            if (channels[i].minSeverity !== undefined && !SEVERITIES.includes(channels[i].minSeverity)) {
+                return `channels[${i}].minSeverity must be one of: ${SEVERITIES.join(', ')}`;
+            }
+        }
+
+        const ids = channels.filter(channel => channel.id).map(channel => channel.id);
+        if (new Set(ids).size !== ids.length) {
+            return 'Channel ids must be unique';
+        }
+    }
+
+    const digest = preferences.digest;
+    if (digest !== undefined) {
+        if (!digest || typeof digest !== 'object' || Array.isArray(digest)) {
+            return 'digest must be an object';
+        }
+        if (digest.enabled !== undefined && typeof digest.enabled !== 'boolean') {
+            return 'digest.enabled must be a boolean';
+        }
+        if (digest.frequency !== undefined && !DIGEST_PERIODS[digest.frequency]) {
+            return `digest.frequency must be one of: ${Object.keys(DIGEST_PERIODS).join(', ')}`;
+        }
+        if (digest.types !== undefined && (!Array.isArray(digest.types) || digest.types.some(type => typeof type !== 'string'))) {
+            return 'digest.types must be a list of notification types';
+        }
+        if (digest.types && digest.types.includes('notification.digest')) {
+            return 'digest.types cannot include notification.digest';
+        }
+    }
+
+    return null;
+}
+
+// Fill in defaults and drop unknown fields
+function normalizePreferences(preferences = {}) {
+    return {
+        minSeverity: preferences.minSeverity || DEFAULT_PREFERENCES.minSeverity,
+        types: preferences.types || {},
+        devices: preferences.devices || {},
+        rooms: preferences.rooms || {},
+        quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(preferences.quietHours || {}) },
+        channels: preferences.channels || [],
+        digest: { ...DEFAULT_PREFERENCES.digest, ...(preferences.digest || {}) }
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isQuietTime(quietHours, now) {
+    if (!quietHours.enabled) return false;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: quietHours.timezone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(now);
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    const current = value('hour') * 60 + value('minute');
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // A window like 22:00-07:00 wraps past midnight
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+function findRoomRule(rooms, room) {
+    const key = Object.keys(rooms).find(name => name.toLowerCase() === String(room).toLowerCase());
+    return key !== undefined ? rooms[key] : undefined;
+}
+
+function mutes(rule, severity) {
+    if (!rule) return false;
+    if (rule.enabled === false) return true;
+    return Boolean(rule.minSeverity) && SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(rule.minSeverity);
+}
+
+// Returns 'deliver', 'hold', 'digest' or 'mute'
+function decide(preferences, notification, { deviceId, room, now = new Date() } = {}) {
+    const severity = severityOf(notification);
+    const typeRule = preferences.types[notification.type];
+
+    if (severity === 'critical') {
+        return typeRule && typeRule.enabled === false ? 'mute' : 'deliver';
+    }
+
+    const rules = [
+        { minSeverity: preferences.minSeverity },
+        typeRule,
+        deviceId !== undefined ? preferences.devices[String(deviceId)] : undefined,
+        room ? findRoomRule(preferences.rooms, room) : undefined
+    ];
+
+    if (rules.some(rule => mutes(rule, severity))) {
+        return 'mute';
+    }
+
+    if (preferences.digest.enabled && preferences.digest.types.includes(notification.type)) {
+        return 'digest';
+    }
+
+    return isQuietTime(preferences.quietHours, now) ? 'hold' : 'deliver';
+}
+
+// Channels a delivered notification should also be sent to
+function channelsFor(preferences, notification) {
+    const severity = severityOf(notification);
+
+    return preferences.channels.filter(channel =>
+        channel.enabled !== false &&
+        SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(channel.minSeverity || DEFAULT_CHANNEL_SEVERITY) &&
+        (!channel.types || channel.types.length === 0 || channel.types.includes(notification.type))
+    );
+}
+
+function createPreferenceStore(redisClient) {
+    const key = (userId) => `preferences:${userId}`;
+
+    return {
+        async get(userId) {
+            const stored = await redisClient.get(key(userId));
+            return normalizePreferences(stored ? JSON.parse(stored) : {});
+        },
+
+        async set(userId, preferences, account) {
+            const normalized = normalizePreferences({
+                ...preferences,
+                channels: (preferences.channels || []).map(channel => prepareChannel(channel, account))
+            });
+            await redisClient.set(key(userId), JSON.stringify(normalized));
+            return normalized;
+        }
+    };
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    SEVERITIES,
+    channelsFor,
+    createPreferenceStore,
+    decide,
+    deviceIdOf,
+    isQuietTime,
+    severityOf,
+    validatePreferences
+};
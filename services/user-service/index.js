@@ -11,6 +11,13 @@ app.use(cors());
 
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Existing accounts with these emails get the admin role at startup, and admins no longer
+// listed lose it, e.g. "ops@example.com,me@example.com". Registering never makes an admin,
+// so an address is only listed once its account exists and belongs to the right person.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
 
 // Database connection
 const pool = new Pool({
@@ -38,6 +45,16 @@ async function initDB() {
       )
     `);
 
+        await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    `);
+
+        await client.query(
+            `UPDATE users SET role = CASE WHEN LOWER(email) = ANY($1) THEN 'admin' ELSE 'user' END
+             WHERE role <> CASE WHEN LOWER(email) = ANY($1) THEN 'admin' ELSE 'user' END`,
+            [ADMIN_EMAILS]
+        );
+
         await client.query(`
       CREATE TABLE IF NOT EXISTS homes (
         id SERIAL PRIMARY KEY,
@@ -56,6 +73,15 @@ async function initDB() {
 
 initDB();
 
+// Other services authorize on the role claim, e.g. notification-service's /api/stats
+function signToken(user) {
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role },
+        JWT_SECRET,
+        { expiresIn: '24h' }
+    );
+}
+
 // Middleware to verify JWT
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -107,9 +133,9 @@ app.post('/api/register', async (req, res) => {
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Insert user
+        // Insert user; new accounts get the default 'user' role (see ADMIN_EMAILS)
         const result = await pool.query(
-            'INSERT INTO users (email, password, name) VALUES ($1, $2, $3) RETURNING id, email, name',
+            'INSERT INTO users (email, password, name) VALUES ($1, $2, $3) RETURNING id, email, name, role',
             [email, hashedPassword, name]
         );
 
@@ -122,18 +148,15 @@ app.post('/api/register', async (req, res) => {
         );
 
         // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const token = signToken(user);
 
         res.status(201).json({
             message: 'User registered successfully',
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             },
             token
         });
@@ -172,17 +195,13 @@ app.post('/api/login', async (req, res) => {
         }
 
         // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const token = signToken(user);
 
         // Cache user data in Redis
         await redisClient.setEx(
             `user:${user.id}`,
             3600,
-            JSON.stringify({ id: user.id, email: user.email, name: user.name })
+            JSON.stringify({ id: user.id, email: user.email, name: user.name, role: user.role })
         );
 
         res.json({
@@ -190,7 +209,8 @@ app.post('/api/login', async (req, res) => {
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             },
             token
         });
@@ -212,7 +232,7 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
 
         // If not in cache, get from database
         const result = await pool.query(
-            'SELECT id, email, name, created_at FROM users WHERE id = $1',
+            'SELECT id, email, name, role, created_at FROM users WHERE id = $1',
             [req.user.id]
         );
 
@@ -246,7 +266,7 @@ app.put('/api/profile', authenticateToken, async (req, res) => {
         }
 
         const result = await pool.query(
-            'UPDATE users SET name = $1 WHERE id = $2 RETURNING id, email, name',
+            'UPDATE users SET name = $1 WHERE id = $2 RETURNING id, email, name, role',
             [name, req.user.id]
         );
 
@@ -0,0 +1,54 @@
+const { CAPABILITIES, DEVICE_TYPES } = require('./types');
+const { getFieldSchema, validateState, validateValue } = require('./validate');
+
+function isDeviceType(type) {
+    return Object.prototype.hasOwnProperty.call(DEVICE_TYPES, type);
+}
+
+// A copy of the state a new device of this type starts with
+function defaultState(type) {
+    return JSON.parse(JSON.stringify(DEVICE_TYPES[type].defaultState));
+}
+
+// The fields of a state that commands may set: those in the type's schema that are not
+// readOnly (measured by the device), e.g. for capturing a scene from current device state
+function writableState(type, state) {
+    const writable = {};
+    for (const [field, value] of Object.entries(state || {})) {
+        const schema = getFieldSchema(type, field);
+        if (schema && !schema.readOnly) writable[field] = value;
+    }
+    return writable;
+}
+
+// Every type with its capabilities resolved to their controls and labels, as served by GET /api/device-types
+function describeDeviceTypes() {
+    return Object.entries(DEVICE_TYPES).map(([type, deviceType]) => ({
+        type,
+        name: deviceType.name,
+        icon: deviceType.icon,
+        capabilities: deviceType.capabilities.map(({ capability, field, labels }) => ({
+            capability,
+            field,
+            name: CAPABILITIES[capability].name,
+            control: CAPABILITIES[capability].control,
+            labels: labels || CAPABILITIES[capability].labels,
+            presets: CAPABILITIES[capability].presets
+        })),
+        schema: deviceType.schema,
+        defaultState: deviceType.defaultState,
+        triggers: deviceType.triggers || []
+    }));
+}
+
+module.exports = {
+    CAPABILITIES,
+    DEVICE_TYPES,
+    defaultState,
+    describeDeviceTypes,
+    getFieldSchema,
+    isDeviceType,
+    validateState,
+    validateValue,
+    writableState
+};
@@ -0,0 +1,264 @@
+// Device types: what each kind of device can do, the shape of its state and
+// the state a new device starts with.
+//
+// `capabilities` are the controls a type offers, each driving one state field.
+// The frontend renders a control per capability, using the field's schema for
+// ranges, steps, units and options. `reading` controls only display a value the
+// device measures; `presets` are shortcuts such as fully opening a blind.
+//
+// `schema` is the JSON Schema of the full state. Only the subset that
+// validate.js checks is used: object properties (no others allowed), required,
+// and per field type (or [type, 'null'] for readings not reported yet), enum,
+// minimum, maximum, multipleOf and readOnly. readOnly fields are measured by the
+// device: they can be reported but not commanded. `unit` is not a JSON Schema
+// keyword; it is for display only.
+//
+// `triggers` are suggested conditions for automations triggered by a device of
+// the type, in the condition format of automation-service. A condition without
+// a value leaves it to the user (e.g. the temperature to stay above).
+
+const CAPABILITIES = {
+    onOff: { name: 'On/off', control: 'toggle', labels: { true: 'ON', false: 'OFF' } },
+    level: { name: 'Level', control: 'slider' },
+    setpoint: { name: 'Setpoint', control: 'stepper' },
+    mode: { name: 'Mode', control: 'select' },
+    lock: { name: 'Lock', control: 'toggle', labels: { true: 'LOCKED', false: 'UNLOCKED' } },
+    recording: { name: 'Recording', control: 'toggle', labels: { true: 'RECORDING', false: 'IDLE' } },
+    position: {
+        name: 'Position',
+        control: 'slider',
+        presets: [{ label: 'Close', value: 0 }, { label: 'Open', value: 100 }]
+    },
+    volume: { name: 'Volume', control: 'slider', presets: [{ label: 'Mute', value: 0 }] },
+    source: { name: 'Source', control: 'select' },
+    playback: { name: 'Playback', control: 'toggle', labels: { true: 'PLAYING', false: 'PAUSED' } },
+    temperature: { name: 'Temperature', control: 'reading' },
+    humidity: { name: 'Humidity', control: 'reading' },
+    contact: { name: 'Contact', control: 'reading', labels: { true: 'OPEN', false: 'CLOSED' } },
+    power: { name: 'Power', control: 'reading' },
+    energy: { name: 'Energy', control: 'reading' }
+};
+
+const DEVICE_TYPES = {
+    light: {
+        name: 'Light',
+        icon: '💡',
+        capabilities: [
+            { capability: 'onOff', field: 'on' },
+            { capability: 'level', field: 'brightness' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                on: { type: 'boolean', title: 'Power' },
+                brightness: { type: 'integer', title: 'Brightness', minimum: 0, maximum: 100, unit: '%' }
+            },
+            required: ['on', 'brightness'],
+            additionalProperties: false
+        },
+        defaultState: { on: false, brightness: 100 },
+        triggers: [
+            { name: 'Turned on', condition: { field: 'on', op: 'changedTo', value: true } },
+            { name: 'Turned off', condition: { field: 'on', op: 'changedTo', value: false } }
+        ]
+    },
+    thermostat: {
+        name: 'Thermostat',
+        icon: '🌡️',
+        capabilities: [
+            { capability: 'setpoint', field: 'temperature' },
+            { capability: 'mode', field: 'mode' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                temperature: { type: 'number', title: 'Temperature', minimum: 5, maximum: 35, multipleOf: 0.5, unit: '°C' },
+                mode: { type: 'string', title: 'Mode', enum: ['auto', 'heat', 'cool', 'off'] }
+            },
+            required: ['temperature', 'mode'],
+            additionalProperties: false
+        },
+        defaultState: { temperature: 22, mode: 'auto' },
+        triggers: [
+            { name: 'Mode changed', condition: { field: 'mode', op: 'changed' } },
+            { name: 'Setpoint above', condition: { field: 'temperature', op: 'gt' } }
+        ]
+    },
+    lock: {
+        name: 'Lock',
+        icon: '🔒',
+        capabilities: [
+            { capability: 'lock', field: 'locked' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                locked: { type: 'boolean', title: 'Locked' }
+            },
+            required: ['locked'],
+            additionalProperties: false
+        },
+        defaultState: { locked: true },
+        triggers: [
+            { name: 'Unlocked', condition: { field: 'locked', op: 'changedTo', value: false } },
+            { name: 'Locked', condition: { field: 'locked', op: 'changedTo', value: true } }
+        ]
+    },
+    camera: {
+        name: 'Camera',
+        icon: '📷',
+        capabilities: [
+            { capability: 'recording', field: 'recording' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                recording: { type: 'boolean', title: 'Recording' }
+            },
+            required: ['recording'],
+            additionalProperties: false
+        },
+        defaultState: { recording: false },
+        triggers: [
+            { name: 'Started recording', condition: { field: 'recording', op: 'changedTo', value: true } }
+        ]
+    },
+    sprinkler: {
+        name: 'Sprinkler',
+        icon: '💧',
+        capabilities: [
+            { capability: 'onOff', field: 'active', labels: { true: 'ACTIVE', false: 'OFF' } }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                active: { type: 'boolean', title: 'Watering' }
+            },
+            required: ['active'],
+            additionalProperties: false
+        },
+        defaultState: { active: false },
+        triggers: [
+            { name: 'Started watering', condition: { field: 'active', op: 'changedTo', value: true } },
+            { name: 'Stopped watering', condition: { field: 'active', op: 'changedTo', value: false } }
+        ]
+    },
+    sensor: {
+        name: 'Temperature/humidity sensor',
+        icon: '🌤️',
+        capabilities: [
+            { capability: 'temperature', field: 'temperature' },
+            { capability: 'humidity', field: 'humidity' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                temperature: { type: ['number', 'null'], title: 'Temperature', minimum: -40, maximum: 85, unit: '°C', readOnly: true },
+                humidity: { type: ['number', 'null'], title: 'Humidity', minimum: 0, maximum: 100, unit: '%', readOnly: true }
+            },
+            required: ['temperature', 'humidity'],
+            additionalProperties: false
+        },
+        defaultState: { temperature: null, humidity: null },
+        triggers: [
+            { name: 'Temperature above', condition: { field: 'temperature', op: 'gt' } },
+            { name: 'Temperature below', condition: { field: 'temperature', op: 'lt' } },
+            { name: 'Humidity above', condition: { field: 'humidity', op: 'gt' } }
+        ]
+    },
+    contact: {
+        name: 'Door/window contact',
+        icon: '🚪',
+        capabilities: [
+            { capability: 'contact', field: 'open' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                open: { type: ['boolean', 'null'], title: 'Open', readOnly: true }
+            },
+            required: ['open'],
+            additionalProperties: false
+        },
+        defaultState: { open: null },
+        triggers: [
+            { name: 'Opened', condition: { field: 'open', op: 'changedTo', value: true } },
+            { name: 'Closed', condition: { field: 'open', op: 'changedTo', value: false } }
+        ]
+    },
+    plug: {
+        name: 'Smart plug',
+        icon: '🔌',
+        capabilities: [
+            { capability: 'onOff', field: 'on' },
+            { capability: 'power', field: 'power' },
+            { capability: 'energy', field: 'energy' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                on: { type: 'boolean', title: 'Power' },
+                power: { type: 'number', title: 'Load', minimum: 0, maximum: 3680, unit: ' W', readOnly: true },
+                energy: { type: 'number', title: 'Energy used', minimum: 0, unit: ' kWh', readOnly: true }
+            },
+            required: ['on', 'power', 'energy'],
+            additionalProperties: false
+        },
+        defaultState: { on: false, power: 0, energy: 0 },
+        triggers: [
+            { name: 'Turned on', condition: { field: 'on', op: 'changedTo', value: true } },
+            { name: 'Load above (W)', condition: { field: 'power', op: 'gt' } },
+            { name: 'Load below (W)', condition: { field: 'power', op: 'lt' } }
+        ]
+    },
+    blind: {
+        name: 'Motorized blind',
+        icon: '🪟',
+        capabilities: [
+            { capability: 'position', field: 'position' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                // 0 is fully closed, 100 fully open
+                position: { type: 'integer', title: 'Open', minimum: 0, maximum: 100, unit: '%' }
+            },
+            required: ['position'],
+            additionalProperties: false
+        },
+        defaultState: { position: 0 },
+        triggers: [
+            { name: 'Fully opened', condition: { field: 'position', op: 'changedTo', value: 100 } },
+            { name: 'Fully closed', condition: { field: 'position', op: 'changedTo', value: 0 } }
+        ]
+    },
+    speaker: {
+        name: 'Speaker',
+        icon: '🔊',
+        capabilities: [
+            { capability: 'playback', field: 'playing' },
+            { capability: 'volume', field: 'volume' },
+            { capability: 'source', field: 'source' }
+        ],
+        schema: {
+            type: 'object',
+            properties: {
+                playing: { type: 'boolean', title: 'Playing' },
+                volume: { type: 'integer', title: 'Volume', minimum: 0, maximum: 100, unit: '%' },
+                source: { type: 'string', title: 'Source', enum: ['spotify', 'radio', 'bluetooth', 'aux', 'tv'] }
+            },
+            required: ['playing', 'volume', 'source'],
+            additionalProperties: false
+        },
+        defaultState: { playing: false, volume: 30, source: 'spotify' },
+        triggers: [
+            { name: 'Started playing', condition: { field: 'playing', op: 'changedTo', value: true } },
+            { name: 'Stopped playing', condition: { field: 'playing', op: 'changedTo', value: false } }
+        ]
+    }
+};
+
+module.exports = {
+    CAPABILITIES,
+    DEVICE_TYPES
+};
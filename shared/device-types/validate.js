@@ -0,0 +1,100 @@
+// Validation of device state against the schemas in DEVICE_TYPES.
+//
+// Validators return an error message, or null when the state is valid.
+
+const { DEVICE_TYPES } = require('./types');
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+function isMultipleOf(value, step) {
+    const quotient = value / step;
+    return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
+function article(word) {
+    return /^[aeiou]/.test(word) ? 'an' : 'a';
+}
+
+// Validate one field's value. A type may be a list such as ['number', 'null'], for
+// readings a device has not reported yet; null skips the other checks.
+function validateValue(schema, value, path) {
+    const types = [].concat(schema.type);
+    if (value === null && types.includes('null')) {
+        return null;
+    }
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+        const expected = types.filter(type => type !== 'null');
+        return `${path} must be ${article(expected[0])} ${expected.join(' or ')}${types.includes('null') ? ' or null' : ''}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return `${path} must be at most ${schema.maximum}`;
+    }
+    if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) {
+        return `${path} must be a multiple of ${schema.multipleOf}`;
+    }
+    return null;
+}
+
+// The schema of one state field, or null if the type has no such field
+function getFieldSchema(type, field) {
+    const deviceType = DEVICE_TYPES[type];
+    if (!deviceType || !Object.prototype.hasOwnProperty.call(deviceType.schema.properties, field)) {
+        return null;
+    }
+    return deviceType.schema.properties[field];
+}
+
+// A partial state (a command or a PUT that changes some fields) may leave out
+// required fields; a full state may not. readOnly fields are only accepted when
+// the device itself reports them (`reported`). path prefixes the field names in errors.
+function validateState(type, state, { partial = false, reported = false, path = 'state' } = {}) {
+    const deviceType = DEVICE_TYPES[type];
+    if (!deviceType) {
+        return `Unknown device type "${type}"`;
+    }
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return `${path} must be an object`;
+    }
+
+    const { properties, required = [] } = deviceType.schema;
+
+    for (const [name, value] of Object.entries(state)) {
+        const schema = getFieldSchema(type, name);
+        if (!schema) {
+            return `${path}.${name} is not a ${type} state field (expected ${Object.keys(properties).join(', ')})`;
+        }
+
+        if (schema.readOnly && !reported) {
+            return `${path}.${name} is reported by the device and cannot be set`;
+        }
+
+        const error = validateValue(schema, value, `${path}.${name}`);
+        if (error) return error;
+    }
+
+    if (!partial) {
+        const missing = required.find(name => state[name] === undefined);
+        if (missing) {
+            return `${path}.${missing} is required`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    getFieldSchema,
+    validateState,
+    validateValue
+};
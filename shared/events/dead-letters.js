@@ -0,0 +1,245 @@
+// Admin access to a service's RabbitMQ dead-letter queues.
+//
+// RabbitMQ cannot read a queue without taking messages off it, so every
+// operation opens its own channel, gets up to PEEK_LIMIT messages without
+// acking them, acks only the ones it removes, and closes the channel, which
+// puts the rest back in order. Messages are identified by their messageId, or
+// for messages dead-lettered without one, a hash of their content and headers.
+//
+// Routes (mounted by each service behind its admin check):
+//   GET    /api/admin/dead-letters                       queues with their dead-letter counts
+//   GET    /api/admin/dead-letters/:queue                messages, oldest first
+//   GET    /api/admin/dead-letters/:queue/:id            one message with headers and body
+//   POST   /api/admin/dead-letters/:queue/:id/replay     put it back on the queue
+//   POST   /api/admin/dead-letters/:queue/replay         put all of them back
+//   DELETE /api/admin/dead-letters/:queue/:id            drop it
+//   DELETE /api/admin/dead-letters/:queue                purge the dead-letter queue
+
+const crypto = require('crypto');
+const { deadLetterName } = require('./queues');
+
+const PEEK_LIMIT = 500;
+
+function messageId(msg) {
+    if (msg.properties.messageId) return msg.properties.messageId;
+
+    return crypto.createHash('sha256')
+        .update(msg.content)
+        .update(JSON.stringify(msg.properties.headers || {}))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+function parseBody(content) {
+    try {
+        return JSON.parse(content.toString());
+    } catch (error) {
+        return content.toString();
+    }
+}
+
+function describe(queue, msg) {
+    const headers = msg.properties.headers || {};
+    const body = parseBody(msg.content);
+
+    return {
+        id: messageId(msg),
+        queue,
+        type: body && typeof body === 'object' ? body.type : undefined,
+        reason: headers['x-dead-letter-reason'],
+        consumer: headers['x-dead-letter-consumer'],
+        deadLetteredAt: headers['x-dead-lettered-at'],
+        attempts: Number(headers['x-retry-count']) || 0,
+        size: msg.content.length
+    };
+}
+
+// queues are the names of the queues the service consumes
+function createDeadLetterAdmin({ getConnection, queues }) {
+    async function withMessages(queue, limit, fn) {
+        const channel = await getConnection().createChannel();
+        try {
+            const messages = [];
+            while (messages.length < limit) {
+                const msg = await channel.get(deadLetterName(queue), { noAck: false });
+                if (!msg) break;
+                messages.push(msg);
+            }
+            return await fn(channel, messages);
+        } finally {
+            await channel.close();
+        }
+    }
+
+    function republish(channel, queue, msg) {
+        const headers = { ...(msg.properties.headers || {}) };
+        Object.keys(headers)
+            .filter(name => name.startsWith('x-dead-letter') || name === 'x-dead-lettered-at' || name === 'x-retry-count')
+            .forEach(name => delete headers[name]);
+
+        channel.sendToQueue(queue, msg.content, {
+            persistent: true,
+            messageId: messageId(msg),
+            headers: { ...headers, 'x-replayed-at': new Date().toISOString() }
+        });
+        channel.ack(msg);
+    }
+
+    async function summary() {
+        const channel = await getConnection().createChannel();
+        try {
+            const result = [];
+            for (const queue of queues) {
+                const { messageCount } = await channel.checkQueue(deadLetterName(queue));
+                result.push({ queue, deadLetterQueue: deadLetterName(queue), messageCount });
+            }
+            return result;
+        } finally {
+            await channel.close();
+        }
+    }
+
+    async function list(queue, limit) {
+        return withMessages(queue, limit, async (channel, messages) => messages.map(msg => describe(queue, msg)));
+    }
+
+    // null when there is no such message among the first PEEK_LIMIT
+    async function get(queue, id) {
+        return withMessages(queue, PEEK_LIMIT, async (channel, messages) => {
+            const msg = messages.find(candidate => messageId(candidate) === id);
+            if (!msg) return null;
+
+            return {
+                ...describe(queue, msg),
+                headers: msg.properties.headers || {},
+                body: parseBody(msg.content)
+            };
+        });
+    }
+
+    // Returns false when there is no such message
+    async function replay(queue, id) {
+        return withMessages(queue, PEEK_LIMIT, async (channel, messages) => {
+            const msg = messages.find(candidate => messageId(candidate) === id);
+            if (!msg) return false;
+
+            republish(channel, queue, msg);
+            return true;
+        });
+    }
+
+    // Returns how many messages were put back
+    async function replayAll(queue) {
+        return withMessages(queue, PEEK_LIMIT, async (channel, messages) => {
+            messages.forEach(msg => republish(channel, queue, msg));
+            return messages.length;
+        });
+    }
+
+    // Returns false when there is no such message
+    async function remove(queue, id) {
+        return withMessages(queue, PEEK_LIMIT, async (channel, messages) => {
+            const msg = messages.find(candidate => messageId(candidate) === id);
+            if (!msg) return false;
+
+            channel.ack(msg);
+            return true;
+        });
+    }
+
+    // Returns how many messages were dropped
+    async function purge(queue) {
+        const channel = await getConnection().createChannel();
+        try {
+            const { messageCount } = await channel.purgeQueue(deadLetterName(queue));
+            return messageCount;
+        } finally {
+            await channel.close();
+        }
+    }
+
+    return {
+        queues,
+        isReady: () => Boolean(getConnection()),
+        get,
+        list,
+        purge,
+        remove,
+        replay,
+        replayAll,
+        summary
+    };
+}
+
+// Register the admin routes on an Express app; middleware is e.g. authentication and an admin check
+function mountDeadLetterRoutes(app, admin, ...middleware) {
+    const base = '/api/admin/dead-letters';
+
+    // Only the service's own queues, and only while RabbitMQ is connected
+    function checkQueue(req, res, next) {
+        if (req.params.queue && !admin.queues.includes(req.params.queue)) {
+            return res.status(404).json({ error: `Unknown queue "${req.params.queue}"`, queues: admin.queues });
+        }
+        if (!admin.isReady()) {
+            return res.status(503).json({ error: 'RabbitMQ is not connected' });
+        }
+        next();
+    }
+
+    const route = (method, path, description, handler) => {
+        app[method](`${base}${path}`, ...middleware, checkQueue, async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                console.error(`${description} error:`, error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    };
+
+    route('get', '', 'List dead-letter queues', async (req, res) => {
+        res.json({ queues: await admin.summary() });
+    });
+
+    route('get', '/:queue', 'List dead letters', async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), PEEK_LIMIT);
+        res.json({ messages: await admin.list(req.params.queue, limit) });
+    });
+
+    route('post', '/:queue/replay', 'Replay dead letters', async (req, res) => {
+        const replayed = await admin.replayAll(req.params.queue);
+        res.json({ message: `Replayed ${replayed} message(s)`, replayed });
+    });
+
+    route('delete', '/:queue', 'Purge dead letters', async (req, res) => {
+        const purged = await admin.purge(req.params.queue);
+        res.json({ message: `Purged ${purged} message(s)`, purged });
+    });
+
+    route('get', '/:queue/:id', 'Get dead letter', async (req, res) => {
+        const message = await admin.get(req.params.queue, req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        res.json({ message });
+    });
+
+    route('post', '/:queue/:id/replay', 'Replay dead letter', async (req, res) => {
+        if (!await admin.replay(req.params.queue, req.params.id)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        res.json({ message: 'Message replayed' });
+    });
+
+    route('delete', '/:queue/:id', 'Delete dead letter', async (req, res) => {
+        if (!await admin.remove(req.params.queue, req.params.id)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        res.json({ message: 'Message deleted' });
+    });
+}
+
+module.exports = {
+    createDeadLetterAdmin,
+    mountDeadLetterRoutes
+};
@@ -0,0 +1,112 @@
+// Envelope for every message on Kafka (device-events, sensor-data, automation-events)
+// and RabbitMQ (device.command, device.status):
+//
+//   {
+//     "id": "5b0e…",                 unique per message
+//     "type": "device.state_changed",
+//     "version": 1,                  version of this type's payload
+//     "source": "device-service",    producing service
+//     "occurredAt": "2024-05-01T10:00:00.000Z",
+//     "userId": 1,                   owning user, always set except for broadcasts
+//     "homeId": 1,                   owning home, null when the event is not about one
+//     "payload": { "deviceId": 3, "state": { … }, "previousState": { … } }
+//   }
+//
+// Messages published before the envelope existed are read as version 0 with
+// everything except the routing fields in the payload, so consumers can be
+// upgraded before producers.
+//
+// Events are validated against their schema (schemas.js) when they are created
+// and again when they are read; both throw an EventValidationError.
+
+const crypto = require('crypto');
+const { latestVersion } = require('./schemas');
+const { EventValidationError, upgradeEvent, validateEvent } = require('./validate');
+
+// Version of types that have no schema
+const EVENT_VERSION = 1;
+const ROUTING_FIELDS = ['type', 'userId', 'homeId', 'timestamp'];
+
+// Build and validate an event at the latest version of its type
+function createEvent(type, { source, userId = null, homeId = null, payload = {}, occurredAt }) {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        version: latestVersion(type) || EVENT_VERSION,
+        source,
+        occurredAt: occurredAt || new Date().toISOString(),
+        userId,
+        homeId: homeId === undefined ? null : homeId,
+        // Validate what consumers will see, e.g. ObjectIds and Dates as strings
+        payload: JSON.parse(JSON.stringify(payload))
+    };
+
+    const error = validateEvent(event);
+    if (error) {
+        throw new EventValidationError(error);
+    }
+    return event;
+}
+
+// Parse a message body (Buffer or string) into an envelope, without validating it
+function parseEvent(raw) {
+    const message = JSON.parse(Buffer.isBuffer(raw) ? raw.toString() : raw);
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return message;
+    }
+
+    if (message.version !== undefined && message.payload !== undefined) {
+        return message;
+    }
+
+    const payload = { ...message };
+    ROUTING_FIELDS.forEach(field => delete payload[field]);
+
+    return {
+        id: crypto.randomUUID(),
+        type: message.type,
+        version: 0,
+        source: 'unknown',
+        occurredAt: message.timestamp || new Date().toISOString(),
+        userId: message.userId === undefined ? null : message.userId,
+        homeId: message.homeId === undefined ? null : message.homeId,
+        payload
+    };
+}
+
+// Parse, validate and upgrade a message body to the latest version of its type
+function readEvent(raw) {
+    let event;
+    try {
+        event = parseEvent(raw);
+    } catch (error) {
+        throw new EventValidationError(`Message is not valid JSON: ${error.message}`);
+    }
+
+    const error = validateEvent(event);
+    if (error) {
+        throw new EventValidationError(error);
+    }
+    return upgradeEvent(event);
+}
+
+// The payload with the routing fields beside it, the flat shape handlers,
+// automation triggers and notification data work with
+function flattenEvent(event) {
+    return {
+        ...event.payload,
+        type: event.type,
+        userId: event.userId,
+        homeId: event.homeId,
+        eventId: event.id,
+        timestamp: event.occurredAt
+    };
+}
+
+module.exports = {
+    EVENT_VERSION,
+    createEvent,
+    flattenEvent,
+    parseEvent,
+    readEvent
+};
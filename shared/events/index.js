@@ -0,0 +1,24 @@
+const { createDeadLetterAdmin, mountDeadLetterRoutes } = require('./dead-letters');
+const { EVENT_VERSION, createEvent, flattenEvent, parseEvent, readEvent } = require('./envelope');
+const { DEAD_LETTER_EXCHANGE, RETRY_DELAYS_MS, deadLetterName } = require('./queues');
+const { createEventReader } = require('./reader');
+const { EVENT_SCHEMAS, latestVersion } = require('./schemas');
+const { EventValidationError, validateEvent } = require('./validate');
+
+module.exports = {
+    DEAD_LETTER_EXCHANGE,
+    EVENT_SCHEMAS,
+    EVENT_VERSION,
+    EventValidationError,
+    RETRY_DELAYS_MS,
+    createDeadLetterAdmin,
+    createEvent,
+    createEventReader,
+    deadLetterName,
+    flattenEvent,
+    latestVersion,
+    mountDeadLetterRoutes,
+    parseEvent,
+    readEvent,
+    validateEvent
+};
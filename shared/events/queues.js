@@ -0,0 +1,51 @@
+// RabbitMQ retry and dead-letter topology for consumed queues.
+//
+// For every queue a service consumes:
+//   <queue>.retry.<delay>ms   one delay queue per entry of RETRY_DELAYS_MS; a failed
+//                             message waits there for its TTL and is then dead-lettered
+//                             by RabbitMQ back onto <queue> (default exchange)
+//   dead-letter               direct exchange for messages that are given up on,
+//                             routed by the name of the queue they came from
+//   <queue>.dead-letter       bound to the dead-letter exchange with that name
+//
+// The main queues keep their arguments, since several services declare them.
+
+const DEAD_LETTER_EXCHANGE = 'dead-letter';
+// One retry per delay, so a message is attempted RETRY_DELAYS_MS.length + 1 times
+const RETRY_DELAYS_MS = (process.env.RABBITMQ_RETRY_DELAYS_MS || '1000,10000,60000')
+    .split(',')
+    .map(delay => parseInt(delay, 10))
+    .filter(delay => delay > 0);
+
+function deadLetterName(name) {
+    return `${name}.dead-letter`;
+}
+
+function retryQueueName(queue, delay) {
+    return `${queue}.retry.${delay}ms`;
+}
+
+async function assertQueueTopology(channel, queue) {
+    await channel.assertExchange(DEAD_LETTER_EXCHANGE, 'direct', { durable: true });
+    await channel.assertQueue(deadLetterName(queue), { durable: true });
+    await channel.bindQueue(deadLetterName(queue), DEAD_LETTER_EXCHANGE, queue);
+
+    for (const delay of RETRY_DELAYS_MS) {
+        await channel.assertQueue(retryQueueName(queue, delay), {
+            durable: true,
+            arguments: {
+                'x-message-ttl': delay,
+                'x-dead-letter-exchange': '',
+                'x-dead-letter-routing-key': queue
+            }
+        });
+    }
+}
+
+module.exports = {
+    DEAD_LETTER_EXCHANGE,
+    RETRY_DELAYS_MS,
+    assertQueueTopology,
+    deadLetterName,
+    retryQueueName
+};
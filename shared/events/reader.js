@@ -0,0 +1,127 @@
+// Reading events off RabbitMQ queues and Kafka topics with a dead-letter path.
+//
+// A message that is not valid JSON or fails its schema is not handed to the
+// consumer. It is parked, byte for byte, on <queue>.dead-letter or
+// <topic>.dead-letter with headers saying why, who rejected it and when, so it
+// can be inspected and replayed once the producer or schema is fixed.
+//
+// Queue handlers that throw are retried through the delay queues in queues.js
+// and dead-lettered after the last attempt, or at once when the error has
+// retryable: false. The attempt count travels in the x-retry-count header.
+
+const crypto = require('crypto');
+const { flattenEvent, readEvent } = require('./envelope');
+const {
+    DEAD_LETTER_EXCHANGE,
+    RETRY_DELAYS_MS,
+    assertQueueTopology,
+    deadLetterName,
+    retryQueueName
+} = require('./queues');
+
+function deadLetterHeaders(error, { consumer, origin }) {
+    return {
+        'x-dead-letter-reason': error.message,
+        'x-dead-letter-consumer': consumer,
+        'x-dead-letter-origin': origin,
+        'x-dead-lettered-at': new Date().toISOString()
+    };
+}
+
+// Headers to carry over when a message is moved, without the ones RabbitMQ adds
+function ownHeaders(msg) {
+    const headers = { ...(msg.properties.headers || {}) };
+    Object.keys(headers)
+        .filter(name => name === 'x-death' || name.startsWith('x-first-death-') || name.startsWith('x-last-death-'))
+        .forEach(name => delete headers[name]);
+    return headers;
+}
+
+// consumer is the service name; getChannel returns the current RabbitMQ channel
+// (it changes on reconnect) and producer is a connected Kafka producer
+function createEventReader({ consumer, getChannel, producer }) {
+    function deadLetter(channel, queue, msg, error, attempts) {
+        console.error(`Message on ${queue} moved to ${deadLetterName(queue)}:`, error.message);
+
+        channel.publish(DEAD_LETTER_EXCHANGE, queue, msg.content, {
+            persistent: true,
+            messageId: msg.properties.messageId || crypto.randomUUID(),
+            headers: {
+                ...ownHeaders(msg),
+                ...deadLetterHeaders(error, { consumer, origin: queue }),
+                'x-retry-count': attempts
+            }
+        });
+    }
+
+    // Consume a queue, calling handler(event, { attempt, lastAttempt }) with the flattened
+    // event of each valid message. The message is acked once it is handled, retried or
+    // dead-lettered.
+    async function consume(queue, handler) {
+        const channel = getChannel();
+        await assertQueueTopology(channel, queue);
+
+        await channel.consume(queue, async (msg) => {
+            if (!msg) return;
+
+            let event;
+            try {
+                event = flattenEvent(readEvent(msg.content));
+            } catch (error) {
+                deadLetter(channel, queue, msg, error, 0);
+                channel.ack(msg);
+                return;
+            }
+
+            const attempt = (Number(ownHeaders(msg)['x-retry-count']) || 0) + 1;
+            const lastAttempt = attempt > RETRY_DELAYS_MS.length;
+
+            try {
+                await handler(event, { attempt, lastAttempt });
+            } catch (error) {
+                if (error.retryable === false || lastAttempt) {
+                    deadLetter(channel, queue, msg, error, attempt);
+                } else {
+                    const delay = RETRY_DELAYS_MS[attempt - 1];
+                    console.error(`Error handling message on ${queue} (attempt ${attempt}), retrying in ${delay}ms:`, error.message);
+
+                    channel.sendToQueue(retryQueueName(queue, delay), msg.content, {
+                        persistent: true,
+                        messageId: msg.properties.messageId,
+                        headers: { ...ownHeaders(msg), 'x-retry-count': attempt }
+                    });
+                }
+            }
+
+            channel.ack(msg);
+        });
+    }
+
+    // The flattened event of a Kafka message, or null when it was dead-lettered
+    async function fromTopic(topic, message) {
+        try {
+            return flattenEvent(readEvent(message.value));
+        } catch (error) {
+            console.error(`Invalid message on ${topic}, moved to ${deadLetterName(topic)}:`, error.message);
+
+            await producer.send({
+                topic: deadLetterName(topic),
+                messages: [{
+                    key: message.key,
+                    value: message.value,
+                    headers: deadLetterHeaders(error, { consumer, origin: topic })
+                }]
+            });
+            return null;
+        }
+    }
+
+    return {
+        consume,
+        fromTopic
+    };
+}
+
+module.exports = {
+    createEventReader
+};
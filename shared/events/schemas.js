@@ -0,0 +1,208 @@
+// Payload schemas of every event type, by version.
+//
+// A field is { type, required, nullable, enum } where type is one of string,
+// number, integer, boolean, object, array or id (a positive integer, or its
+// string form as it arrives in URLs). Fields not listed are allowed, so adding
+// an optional field is a backward-compatible change that keeps the version.
+//
+// A breaking change adds the next version with an `upgrade` that turns a
+// payload of the previous version into the new shape, e.g.
+//
+//   2: {
+//       fields: { deviceId: ..., state: ..., reason: { type: 'string', required: true } },
+//       upgrade: (payload) => ({ ...payload, reason: 'unknown' })
+//   }
+//
+// Producers always write the latest version; consumers get every message
+// upgraded to it, so old and new producers can run side by side.
+//
+// `broadcast` types are not addressed to one user and may have a null userId.
+
+const EVENT_SCHEMAS = {
+    // device-events
+    'device.state_changed': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                state: { type: 'object', required: true },
+                previousState: { type: 'object', nullable: true },
+                commandId: { type: 'string' },
+                causationId: { type: 'string' },
+                depth: { type: 'integer' }
+            }
+        }
+    },
+    'device.added': {
+        1: {
+            fields: {
+                device: { type: 'object', required: true }
+            }
+        }
+    },
+    'device.removed': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                device: { type: 'object' }
+            }
+        }
+    },
+    'device.online': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                deviceName: { type: 'string' },
+                lastSeen: { type: 'string', nullable: true }
+            }
+        }
+    },
+    'device.offline': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                deviceName: { type: 'string' },
+                lastSeen: { type: 'string', nullable: true }
+            }
+        }
+    },
+
+    // sensor-data
+    'motion.detected': {
+        1: {
+            fields: {
+                cameraId: { type: 'id', required: true },
+                deviceName: { type: 'string' },
+                confidence: { type: 'number' },
+                peopleCount: { type: 'integer' },
+                alertLevel: { type: 'string', enum: ['medium', 'high'] }
+            }
+        }
+    },
+
+    // automation-events
+    'security.alert': {
+        1: {
+            fields: {
+                trigger: { type: 'string', required: true },
+                cameraId: { type: 'id' },
+                severity: { type: 'string' }
+            }
+        }
+    },
+    'automation.executed': {
+        1: {
+            fields: {
+                automationId: { type: 'string', required: true },
+                executionId: { type: 'string' },
+                causationId: { type: 'string' },
+                trigger: { type: 'object', nullable: true },
+                actions: { type: 'array', required: true }
+            }
+        }
+    },
+    'automation.loop_blocked': {
+        1: {
+            fields: {
+                automationId: { type: 'string', required: true },
+                automationName: { type: 'string' },
+                executionId: { type: 'string' },
+                causationId: { type: 'string' },
+                depth: { type: 'integer' }
+            }
+        }
+    },
+    'automation.created': {
+        1: {
+            fields: {
+                automation: { type: 'object', required: true }
+            }
+        }
+    },
+    'scene.activated': {
+        1: {
+            fields: {
+                sceneId: { type: 'string', required: true },
+                sceneName: { type: 'string' },
+                activationId: { type: 'string' },
+                status: { type: 'string', required: true }
+            }
+        }
+    },
+    'inventory.updated': {
+        broadcast: true,
+        1: {
+            fields: {}
+        }
+    },
+
+    // RabbitMQ device.command, device.status and device.heartbeat
+    'device.command': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                state: { type: 'object', required: true },
+                commandId: { type: 'string' },
+                origin: { type: 'string' },
+                automationId: { type: 'string' },
+                executionId: { type: 'string' },
+                sceneId: { type: 'string' },
+                activationId: { type: 'string' },
+                scheduleId: { type: 'string' },
+                causationId: { type: 'string' },
+                depth: { type: 'integer' }
+            }
+        }
+    },
+    // Progress of a device command, from the device itself or from device-service
+    // (rejected or timed out); v1 only knew success and failed
+    'device.status': {
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                status: { type: 'string', required: true, enum: ['success', 'failed'] },
+                commandId: { type: 'string' },
+                deviceName: { type: 'string' },
+                state: { type: 'object' },
+                error: { type: 'string' }
+            }
+        },
+        2: {
+            fields: {
+                deviceId: { type: 'id', required: true },
+                status: { type: 'string', required: true, enum: ['delivered', 'applied', 'failed', 'timed_out'] },
+                commandId: { type: 'string' },
+                deviceName: { type: 'string' },
+                state: { type: 'object' },
+                error: { type: 'string' }
+            },
+            upgrade: (payload) => ({ ...payload, status: payload.status === 'success' ? 'applied' : payload.status })
+        }
+    },
+    // Sent by devices, which do not know which user owns them
+    'device.heartbeat': {
+        broadcast: true,
+        1: {
+            fields: {
+                deviceId: { type: 'id', required: true }
+            }
+        }
+    }
+};
+
+// Versions of a type, oldest first; empty for unknown types
+function versionsOf(type) {
+    const schema = EVENT_SCHEMAS[type];
+    if (!schema) return [];
+    return Object.keys(schema).filter(key => /^\d+$/.test(key)).map(Number).sort((a, b) => a - b);
+}
+
+function latestVersion(type) {
+    const versions = versionsOf(type);
+    return versions.length > 0 ? versions[versions.length - 1] : undefined;
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    latestVersion,
+    versionsOf
+};
@@ -0,0 +1,113 @@
+// Validation of event envelopes against EVENT_SCHEMAS.
+//
+// Validators return an error message, or null when the event is valid. Types
+// without a schema only get their envelope checked.
+
+const { EVENT_SCHEMAS, latestVersion } = require('./schemas');
+
+class EventValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EventValidationError';
+    }
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    // Device ids are integers, but arrive as strings from URL parameters
+    id: value => (Number.isInteger(value) && value > 0) || (typeof value === 'string' && value.length > 0)
+};
+
+function validatePayload(payload, schema, type, version) {
+    for (const [name, field] of Object.entries(schema.fields)) {
+        const value = payload[name];
+        const path = `${type} v${version} payload.${name}`;
+
+        if (value === undefined || (value === null && field.nullable)) {
+            if (field.required && value === undefined) {
+                return `${path} is required`;
+            }
+            continue;
+        }
+        if (!TYPE_CHECKS[field.type](value)) {
+            return `${path} must be ${/^[aeiou]/.test(field.type) ? 'an' : 'a'} ${field.type}`;
+        }
+        if (field.enum && !field.enum.includes(value)) {
+            return `${path} must be one of: ${field.enum.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// Returns an error message, or null when the event is valid
+function validateEvent(event) {
+    if (!TYPE_CHECKS.object(event)) {
+        return 'Event must be an object';
+    }
+    if (typeof event.type !== 'string' || !event.type) {
+        return 'Event type is required';
+    }
+    if (!Number.isInteger(event.version) || event.version < 0) {
+        return `${event.type} version must be a non-negative integer`;
+    }
+    if (typeof event.source !== 'string' || !event.source) {
+        return `${event.type} source is required`;
+    }
+    if (typeof event.occurredAt !== 'string' || isNaN(Date.parse(event.occurredAt))) {
+        return `${event.type} occurredAt must be an ISO timestamp`;
+    }
+    if (!TYPE_CHECKS.object(event.payload)) {
+        return `${event.type} payload must be an object`;
+    }
+    if (event.homeId !== null && event.homeId !== undefined && !TYPE_CHECKS.id(event.homeId)) {
+        return `${event.type} homeId must be an id or null`;
+    }
+
+    const schema = EVENT_SCHEMAS[event.type];
+    if (!schema) {
+        return event.userId === null || event.userId === undefined ? `${event.type} userId is required` : null;
+    }
+
+    if (!schema.broadcast && (event.userId === null || event.userId === undefined)) {
+        return `${event.type} userId is required`;
+    }
+    if (event.userId !== null && event.userId !== undefined && !TYPE_CHECKS.id(event.userId)) {
+        return `${event.type} userId must be an id`;
+    }
+
+    // Messages from before the envelope carry the first version's fields
+    const version = event.version === 0 ? 1 : event.version;
+    if (!schema[version]) {
+        return `${event.type} version ${event.version} is not supported (latest is ${latestVersion(event.type)})`;
+    }
+
+    return validatePayload(event.payload, schema[version], event.type, version);
+}
+
+// Bring a valid event up to the latest version of its type
+function upgradeEvent(event) {
+    const latest = latestVersion(event.type);
+    if (latest === undefined) {
+        return event;
+    }
+
+    let version = event.version === 0 ? 1 : event.version;
+    let payload = event.payload;
+    while (version < latest) {
+        version++;
+        payload = EVENT_SCHEMAS[event.type][version].upgrade(payload);
+    }
+
+    return { ...event, version, payload };
+}
+
+module.exports = {
+    EventValidationError,
+    upgradeEvent,
+    validateEvent
+};